@@ -0,0 +1,34 @@
+// add-lookup-key.js
+// Backfills Word.lookupKey (accent-folded portuguese) and builds its index.
+// Usage: npm run add-lookup-key
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Word = require('./models/Word');
+const { toLookupKey } = require('./services/normalize');
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI, { family: 4 });
+  console.log('✅ MongoDB connected');
+
+  const words = await Word.find({}, 'portuguese lookupKey').lean();
+  const ops = words
+    .filter(w => w.lookupKey !== toLookupKey(w.portuguese))
+    .map(w => ({
+      updateOne: {
+        filter: { _id: w._id },
+        update: { $set: { lookupKey: toLookupKey(w.portuguese) } }
+      }
+    }));
+
+  if (ops.length) await Word.bulkWrite(ops);
+  await Word.syncIndexes();
+
+  console.log(`✅ Updated lookupKey on ${ops.length} of ${words.length} words`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
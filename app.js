@@ -0,0 +1,79 @@
+// app.js
+// Builds the Express app: middleware, every router and the error handlers.
+// Importing it neither connects to MongoDB nor opens a port (see server.js),
+// so tests can create an app per suite.
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const logger = require('./services/logger');
+const { requestContext, HEADER: REQUEST_ID_HEADER } = require('./middleware/requestContext');
+
+const { router: authRoutes, authenticateToken, changePassword } = require('./routes/auth');
+
+function createApp() {
+  const app = express();
+
+  // Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+  // (login rate limiting is keyed by it)
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+  }
+
+  // First, so everything after it (including errors) is logged with the request id
+  app.use(requestContext());
+  app.use(cors({ origin: process.env.CORS_ORIGIN || '*', credentials: true, exposedHeaders: [REQUEST_ID_HEADER] }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+  app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+  // -----------------------
+  // Routes
+  // -----------------------
+  app.use('/api/admin', require('./routes/admin'));
+  app.use('/api/admin/export', require('./routes/contentExport'));
+  app.use('/api/auth', authRoutes);
+  app.use('/api/flashcards', require('./routes/flashcards'));
+  app.use('/api/words', require('./routes/words'));
+  app.use('/api/groups', require('./routes/groups'));
+  app.use('/api/sentences', require('./routes/sentences'));
+  app.use('/api/roadmap', require('./routes/roadmap'));
+  app.use('/api/journal', require('./routes/journal'));
+  app.use('/api/scrabble/games', require('./routes/scrabbleGames'));
+  app.use('/api/scrabble', require('./routes/scrabble'));
+  app.use('/api/questions', require('./routes/questions'));
+  app.use('/api/stories', require('./routes/stories'));
+  app.use('/api/saved-stories', require('./routes/savedStories'));
+  app.use('/api/tests', require('./routes/tests'));
+  app.use('/api/grammar', require('./routes/grammar'));
+  app.use('/api/image-prompts', require('./routes/imagePrompts'));
+  app.use('/api/conjugations', require('./routes/conjugations'));
+
+  // Older clients call this path; same handler as POST /api/auth/change-password
+  app.post('/auth/change-password', authenticateToken, changePassword);
+
+  app.get('/health', (req, res) => res.json({ status: 'OK', message: 'Server running' }));
+
+  // -----------------------
+  // Error handling
+  // -----------------------
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+  });
+
+  app.use((err, req, res, next) => {
+    // Malformed JSON bodies are the client's fault, reported like any other validation error
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        errors: [{ location: 'body', field: '', message: 'must be valid JSON' }]
+      });
+    }
+    // The details stay in the log; the client gets a code and the id to quote
+    logger.error('Unhandled error', err, { method: req.method, path: req.path });
+    res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.id });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
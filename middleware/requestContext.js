@@ -0,0 +1,33 @@
+// middleware/requestContext.js
+// Correlation ids: every request gets one (the caller's X-Request-Id when it
+// looks safe to reuse, otherwise a new UUID). It is echoed in the response
+// header, kept on req.id and attached to every log line for the request.
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+const HEADER = 'X-Request-Id';
+const SAFE_ID = /^[\w.:-]{1,128}$/;
+
+function requestContext() {
+  return (req, res, next) => {
+    const incoming = req.get(HEADER);
+    req.id = incoming && SAFE_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(HEADER, req.id);
+
+    // One line per request once the response has gone out
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      logger.info('Request finished', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+      });
+    });
+
+    logger.withContext({ requestId: req.id }, next);
+  };
+}
+
+module.exports = { requestContext, HEADER };
@@ -0,0 +1,49 @@
+// middleware/upload.js
+// Single-file uploads kept in memory (for imports that are parsed straight
+// away). Problems with the upload answer 400 in the same shape as
+// middleware/validate.js.
+const path = require('path');
+const multer = require('multer');
+
+// ['.csv', '.xlsx', '.txt'] -> ".csv, .xlsx or .txt"
+const listOf = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items.join(''));
+
+const rejection = (field, message) => ({
+  error: 'Validation failed',
+  errors: [{ location: 'body', field, message }]
+});
+
+/**
+ * singleUpload('file', { extensions: ['.csv', '.xlsx'], maxBytes }) -> middleware
+ * The file is on req.file ({ originalname, buffer, size, ... }) and is required.
+ */
+function singleUpload(field, { extensions, maxBytes = 5 * 1024 * 1024 } = {}) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname || '').toLowerCase();
+      if (extensions && !extensions.includes(ext)) {
+        return cb(Object.assign(new Error(`must be a ${listOf(extensions)} file`), { status: 400 }));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `must be at most ${Math.floor(maxBytes / 1024)} KB`
+          : err.message;
+        return res.status(400).json(rejection(err.field || field, message));
+      }
+      if (err && err.status === 400) return res.status(400).json(rejection(field, err.message));
+      if (err) return next(err);
+      if (!req.file) return res.status(400).json(rejection(field, 'is required'));
+      next();
+    });
+  };
+}
+
+module.exports = { singleUpload, listOf };
@@ -0,0 +1,196 @@
+// middleware/validate.js
+// Declarative request validation. A route lists the fields it accepts for
+// params, query and body; anything else is dropped, values are coerced
+// (query/params arrive as strings; pass coerce: true to accept "3" in a body
+// too) and failures answer 400 with
+// { error: 'Validation failed', errors: [{ location, field, message }] }.
+//
+//   router.put('/:id', validate({ params: { id: objectId({ required: true }) },
+//                                 body: { title: string({ maxLength: 200 }) } }), handler)
+const mongoose = require('mongoose');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// ---- rule builders ----
+
+const rule = (type) => (options = {}) => ({ ...options, type });
+
+const string = rule('string');
+const number = rule('number');
+const integer = rule('integer');
+const boolean = rule('boolean');
+const objectId = rule('objectId');
+const date = rule('date');
+const any = rule('any');
+const array = (items, options = {}) => ({ ...options, type: 'array', items });
+const object = (fields, options = {}) => ({ ...options, type: 'object', fields });
+
+// The same fields with none of them required (for partial updates)
+function optional(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([name, r]) => [name, { ...r, required: false }]));
+}
+
+// ---- checking ----
+
+function checkString(value, r) {
+  if (typeof value !== 'string') return { message: 'must be a string' };
+  let out = r.trim === false ? value : value.trim();
+  if (r.lowercase) out = out.toLowerCase();
+  if (r.required && !out) return { message: 'is required' };
+  if (r.minLength !== undefined && out.length < r.minLength) return { message: `must be at least ${r.minLength} characters` };
+  if (r.maxLength !== undefined && out.length > r.maxLength) return { message: `must be at most ${r.maxLength} characters` };
+  if (r.pattern && out && !r.pattern.test(out)) return { message: r.patternMessage || 'has an invalid format' };
+  if (r.enum && !r.enum.includes(out)) return { message: `must be one of: ${r.enum.join(', ')}` };
+  return { value: out };
+}
+
+function checkNumber(value, r, coerce) {
+  let n = value;
+  if (coerce && typeof value === 'string' && value.trim() !== '') n = Number(value);
+  if (typeof n !== 'number' || !Number.isFinite(n)) return { message: 'must be a number' };
+  if (r.type === 'integer' && !Number.isInteger(n)) return { message: 'must be a whole number' };
+  if (r.min !== undefined && n < r.min) return { message: `must be at least ${r.min}` };
+  if (r.max !== undefined && n > r.max) return { message: `must be at most ${r.max}` };
+  if (r.enum && !r.enum.includes(n)) return { message: `must be one of: ${r.enum.join(', ')}` };
+  return { value: n };
+}
+
+function checkBoolean(value, coerce) {
+  if (typeof value === 'boolean') return { value };
+  if (coerce && (value === 'true' || value === 'false')) return { value: value === 'true' };
+  return { message: 'must be true or false' };
+}
+
+function checkObjectId(value) {
+  const id = typeof value === 'string' ? value : value && value.toString && value.toString();
+  if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id) || String(new mongoose.Types.ObjectId(id)) !== id) {
+    return { message: 'must be a valid id' };
+  }
+  return { value: id };
+}
+
+function checkDate(value) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return { message: 'must be a date' };
+  if (isNaN(new Date(value))) return { message: 'must be a date' };
+  return { value };
+}
+
+// Validate one value against a rule, pushing errors; returns the cleaned value
+function checkValue(value, r, path, location, errors) {
+  const coerce = r.coerce ?? location !== 'body';
+  // An empty query value (?page=) is the same as leaving it out
+  if (coerce && value === '') value = undefined;
+  if (value === undefined || value === null) {
+    if (value === null && r.nullable) return null;
+    if (r.required) errors.push({ location, field: path, message: 'is required' });
+    return r.default !== undefined ? r.default : undefined;
+  }
+
+  let result;
+  switch (r.type) {
+    case 'string': result = checkString(value, r); break;
+    case 'number':
+    case 'integer': result = checkNumber(value, r, coerce); break;
+    case 'boolean': result = checkBoolean(value, coerce); break;
+    case 'objectId': result = checkObjectId(value); break;
+    case 'date': result = checkDate(value); break;
+    case 'array': {
+      // A single query value (?id=1) counts as a one-item list
+      const list = Array.isArray(value) ? value : (coerce ? [value] : null);
+      if (!list) { result = { message: 'must be a list' }; break; }
+      if (r.minLength !== undefined && list.length < r.minLength) { result = { message: `must have at least ${r.minLength} item(s)` }; break; }
+      if (r.maxLength !== undefined && list.length > r.maxLength) { result = { message: `must have at most ${r.maxLength} items` }; break; }
+      result = { value: list.map((item, i) => checkValue(item, { ...r.items, required: true }, `${path}[${i}]`, location, errors)) };
+      break;
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) { result = { message: 'must be an object' }; break; }
+      result = { value: checkFields(value, r.fields, path, location, errors, r.allowUnknown) };
+      break;
+    default:
+      result = { value };
+  }
+
+  // Extra rule for the field: check(value) returns an error message or nothing
+  if (!result.message && r.check) {
+    const message = r.check(result.value);
+    if (message) result = { message };
+  }
+
+  if (result.message) {
+    errors.push({ location, field: path, message: result.message });
+    return undefined;
+  }
+  return result.value;
+}
+
+function checkFields(input, fields, prefix, location, errors, allowUnknown = false) {
+  const out = allowUnknown ? { ...input } : {};
+  for (const [name, r] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const value = checkValue(input[name], r, path, location, errors);
+    if (value !== undefined) out[name] = value;
+    else if (allowUnknown) delete out[name];
+  }
+  return out;
+}
+
+/**
+ * validate({ params?, query?, body? }) -> middleware
+ * Each part maps field names to rules. Pass { allowUnknown: true } as a
+ * fourth key to keep body fields that are not listed.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+
+    for (const location of LOCATIONS) {
+      if (!schema[location]) continue;
+      const input = req[location] && typeof req[location] === 'object' ? req[location] : {};
+      cleaned[location] = checkFields(input, schema[location], '', location, errors,
+        location === 'body' && schema.allowUnknown);
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ error: 'Validation failed', errors });
+    }
+
+    if (cleaned.params) Object.assign(req.params, cleaned.params);
+    if (cleaned.body) req.body = cleaned.body;
+    // req.query is a getter in Express 5; shadow it with the cleaned copy
+    if (cleaned.query) {
+      Object.defineProperty(req, 'query', { value: cleaned.query, writable: true, configurable: true, enumerable: true });
+    }
+    next();
+  };
+}
+
+/**
+ * Check a plain object against field rules outside of a request (e.g. one row
+ * of an uploaded file). Returns { value, errors } with the same error shape.
+ */
+function checkObject(fields, input, location = 'body') {
+  const errors = [];
+  const value = checkFields(input && typeof input === 'object' ? input : {}, fields, '', location, errors);
+  return { value, errors };
+}
+
+// Common shapes
+const idParam = (name = 'id') => ({ [name]: objectId({ required: true }) });
+
+module.exports = {
+  validate,
+  checkObject,
+  optional,
+  idParam,
+  string,
+  number,
+  integer,
+  boolean,
+  objectId,
+  date,
+  any,
+  array,
+  object
+};
@@ -0,0 +1,26 @@
+// models/AdminSetup.js
+// Claims made through POST /api/admin/setup, one document per unique key:
+// 'first-admin' once the open bootstrap has been used, and 'token:<sha256>'
+// for every ADMIN_SETUP_TOKEN that has been spent. The unique index is what
+// makes each claim single-use, even for parallel requests, and claims outlive
+// the admins they created.
+const mongoose = require('mongoose');
+
+const adminSetupSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AdminSetup', adminSetupSchema);
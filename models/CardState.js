@@ -0,0 +1,56 @@
+// models/CardState.js
+// One user's schedule for one word in one card direction. Kept in its own
+// collection so due cards can be found with an indexed query.
+const mongoose = require('mongoose');
+
+const cardStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  word: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['recognition', 'production', 'typed'],
+    default: 'recognition'
+  },
+  ease: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 },
+  reviewCount: { type: Number, default: 0 },
+  lastReviewed: { type: Date, default: null },
+  nextReview: { type: Date, default: null },
+  // Scheduler state (see services/scheduler)
+  repetitions: { type: Number },
+  lapses: { type: Number, default: 0 },
+  stability: { type: Number },
+  difficulty: { type: Number },
+  state: {
+    type: String,
+    enum: ['new', 'learning', 'review', 'relearning'],
+    default: 'new'
+  },
+  step: { type: Number, default: 0 }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+cardStateSchema.index({ user: 1, word: 1, direction: 1 }, { unique: true });
+// Due queues: "this user's cards in this direction, soonest first"
+cardStateSchema.index({ user: 1, direction: 1, nextReview: 1 });
+cardStateSchema.index({ user: 1, direction: 1, state: 1, nextReview: 1 });
+cardStateSchema.index({ word: 1 });
+
+module.exports = mongoose.model('CardState', cardStateSchema);
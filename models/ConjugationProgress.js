@@ -0,0 +1,34 @@
+// models/ConjugationProgress.js
+// One user's drill results for one tense and person (e.g. past / nós),
+// summed over every verb they have been asked.
+const mongoose = require('mongoose');
+const { TENSES, PERSONS } = require('../services/conjugator');
+
+const conjugationProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tense: { type: String, enum: TENSES, required: true },
+  person: { type: String, enum: PERSONS, required: true },
+  attempts: { type: Number, default: 0 },
+  // Right apart from accents counts as correct; accentMistakes says how often
+  correct: { type: Number, default: 0 },
+  accentMistakes: { type: Number, default: 0 },
+  lastPracticedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+conjugationProgressSchema.index({ user: 1, tense: 1, person: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConjugationProgress', conjugationProgressSchema);
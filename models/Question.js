@@ -1,44 +1,44 @@
-// backend/models/Question.js
-const mongoose = require('mongoose');
-
-const questionSchema = new mongoose.Schema({
-  question: {
-    type: String,
-    required: true
-  },
-  options: {
-    type: [String],
-    required: true,
-    validate: {
-      validator: function(options) {
-        return options.length === 4;
-      },
-      message: 'Exactly 4 options are required'
-    }
-  },
-  correctAnswer: {
-    type: Number,
-    required: true,
-    min: 0,
-    max: 3
-  },
-  explanation: {
-    type: String,
-    default: ''
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  toJSON: {
-    transform: function(doc, ret) {
-      ret.id = ret._id;
-      delete ret._id;
-      delete ret.__v;
-      return ret;
-    }
-  }
-});
-
+// backend/models/Question.js
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: function(options) {
+        return options.length === 4;
+      },
+      message: 'Exactly 4 options are required'
+    }
+  },
+  correctAnswer: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 3
+  },
+  explanation: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
 module.exports = mongoose.model('Question', questionSchema);
\ No newline at end of file
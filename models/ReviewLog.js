@@ -0,0 +1,74 @@
+// models/ReviewLog.js
+// Append-only record of every flashcard review, for auditing the scheduler and analytics.
+const mongoose = require('mongoose');
+
+const scheduleSnapshotSchema = new mongoose.Schema({
+  ease: Number,
+  interval: Number,
+  nextReview: Date,
+  state: String   // new | learning | review | relearning
+}, { _id: false });
+
+const reviewLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  word: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['recognition', 'production', 'typed'],
+    default: 'recognition'
+  },
+  grade: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5
+  },
+  algorithm: {
+    type: String,
+    required: true
+  },
+  previous: scheduleSnapshotSchema,
+  next: scheduleSnapshotSchema,
+  responseTimeMs: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+reviewLogSchema.index({ user: 1, word: 1, direction: 1, reviewedAt: -1 });
+reviewLogSchema.index({ user: 1, reviewedAt: -1 });
+
+// Entries are never edited once written
+function rejectUpdate(next) {
+  next(new Error('ReviewLog entries are append-only'));
+}
+
+reviewLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+reviewLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+module.exports = mongoose.model('ReviewLog', reviewLogSchema);
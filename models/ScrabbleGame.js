@@ -0,0 +1,64 @@
+// models/ScrabbleGame.js
+const mongoose = require('mongoose');
+const { BOARD_SIZE } = require('../services/scrabbleBoard');
+
+const placedTileSchema = new mongoose.Schema({
+  row: { type: Number, required: true, min: 0, max: BOARD_SIZE - 1 },
+  col: { type: Number, required: true, min: 0, max: BOARD_SIZE - 1 },
+  letter: { type: String, required: true },
+  blank: { type: Boolean, default: false }
+}, { _id: false });
+
+const playerSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  isAI: { type: Boolean, default: false },
+  name: { type: String, default: 'Player' },
+  rack: { type: [String], default: [] },   // letters, '?' for a blank
+  score: { type: Number, default: 0 }
+}, { _id: false });
+
+const moveSchema = new mongoose.Schema({
+  player: { type: Number, required: true },  // index into players
+  type: { type: String, enum: ['play', 'exchange', 'pass'], required: true },
+  tiles: { type: [placedTileSchema], default: [] },
+  words: { type: [String], default: [] },
+  score: { type: Number, default: 0 },
+  exchanged: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const scrabbleGameSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  players: { type: [playerSchema], default: [] },
+  board: { type: [placedTileSchema], default: [] },  // every tile on the board
+  bag: { type: [String], default: [] },
+  currentPlayer: { type: Number, default: 0 },
+  scorelessTurns: { type: Number, default: 0 },
+  moves: { type: [moveSchema], default: [] },
+  status: {
+    type: String,
+    enum: ['active', 'finished'],
+    default: 'active'
+  },
+  winner: { type: Number, default: null }
+}, {
+  timestamps: true
+});
+
+scrabbleGameSchema.index({ owner: 1, status: 1, updatedAt: -1 });
+
+// 15x15 grid of { letter, blank } | null for the move generator and scorer
+scrabbleGameSchema.methods.toGrid = function() {
+  const grid = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(null));
+  this.board.forEach(t => {
+    grid[t.row][t.col] = { letter: t.letter, blank: t.blank };
+  });
+  return grid;
+};
+
+module.exports = mongoose.model('ScrabbleGame', scrabbleGameSchema);
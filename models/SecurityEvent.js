@@ -0,0 +1,44 @@
+// models/SecurityEvent.js
+// Audit trail of security-relevant events such as login lockouts.
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true   // e.g. 'login_lockout'
+  },
+  scope: {
+    type: String,
+    enum: ['user', 'admin'],
+    required: true
+  },
+  // What was locked: an IP address or an account identifier
+  keyType: {
+    type: String,
+    enum: ['ip', 'account'],
+    required: true
+  },
+  ip: String,
+  account: String,
+  failures: Number,
+  lockouts: Number,
+  lockedUntil: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ account: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -1,25 +1,25 @@
-const mongoose = require('mongoose');
-
-const sentenceSchema = new mongoose.Schema({
-  portuguese: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  english: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  difficulty: {
-    type: String,
-    enum: ['Beginner', 'Intermediate', 'Advanced'],
-    default: 'Intermediate'
-  },
-  category: {
-    type: String,
-    default: 'General'
-  }
-});
-
+const mongoose = require('mongoose');
+
+const sentenceSchema = new mongoose.Schema({
+  portuguese: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  english: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  difficulty: {
+    type: String,
+    enum: ['Beginner', 'Intermediate', 'Advanced'],
+    default: 'Intermediate'
+  },
+  category: {
+    type: String,
+    default: 'General'
+  }
+});
+
 module.exports = mongoose.model('Sentence', sentenceSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+// purge-deleted-accounts.js
+// Permanently deletes accounts whose deletion grace period has ended
+// (the server also does this hourly while it runs).
+// Usage: npm run purge-deleted-accounts
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeDueAccounts } = require('./services/accountData');
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI, { family: 4 });
+  console.log('✅ MongoDB connected');
+
+  const purged = await purgeDueAccounts();
+  console.log(`✅ Purged ${purged} deleted account(s)`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Purge failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
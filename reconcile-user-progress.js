@@ -0,0 +1,141 @@
+// reconcile-user-progress.js
+// Brings every user's flashcard progress into the CardState collection and
+// removes the older shapes that earlier versions of the API wrote:
+//   - progress.words.map (keyed "wordId" or "wordId:direction")
+//   - progress.words[wordId]
+//   - progress.wordsHistory / progress.words.history
+//   - progress.mastered / progress.needsReview and the words.* arrays
+//   - the global ease/interval/... fields that used to live on Word
+// When a card exists in more than one place, the most recently reviewed
+// schedule wins. Safe to run more than once.
+// Usage: npm run reconcile-progress [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const Word = require('./models/Word');
+const CardState = require('./models/CardState');
+const { normalizeEntry } = require('./services/scheduler');
+const { DEFAULT_DIRECTION, isDirection } = require('./services/cardDirections');
+const { scheduleFields } = require('./services/cardStates');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_USER_FIELDS = ['progress.words', 'progress.wordsHistory', 'progress.mastered', 'progress.needsReview'];
+const LEGACY_WORD_FIELDS = ['ease', 'interval', 'nextReview', 'lastReviewed', 'reviewCount'];
+
+// "wordId" (recognition) or "wordId:direction"
+function parseKey(key) {
+  const [wordId, direction = DEFAULT_DIRECTION] = String(key).split(':');
+  return { wordId, direction };
+}
+
+// An entry that was never reviewed carries no schedule worth keeping
+const hasSchedule = (entry) => entry && (entry.reviewCount > 0 || entry.lastReviewed || entry.nextReview);
+
+const reviewedAt = (entry) => (entry && entry.lastReviewed ? new Date(entry.lastReviewed).getTime() || 0 : 0);
+
+// All schedules on one raw user document, keyed "wordId:direction"
+function collectEntries(progress = {}) {
+  const words = progress.words || {};
+  const entries = new Map();
+  const add = (wordId, direction, entry) => {
+    if (!hasSchedule(entry)) return;
+    const key = `${wordId}:${direction}`;
+    const existing = entries.get(key);
+    if (!existing || reviewedAt(entry) > reviewedAt(existing.entry)) {
+      entries.set(key, { wordId: String(wordId), direction, entry });
+    }
+  };
+
+  for (const [key, entry] of Object.entries(words.map || {})) {
+    const { wordId, direction } = parseKey(key);
+    if (isDirection(direction)) add(wordId, direction, entry);
+  }
+
+  // The older shapes only ever held the recognition schedule
+  for (const [key, entry] of Object.entries(words)) {
+    if (mongoose.Types.ObjectId.isValid(key) && entry && typeof entry === 'object') {
+      add(key, DEFAULT_DIRECTION, entry);
+    }
+  }
+  for (const entry of [...(progress.wordsHistory || []), ...(words.history || [])]) {
+    if (entry && entry.wordId) add(entry.wordId, DEFAULT_DIRECTION, entry);
+  }
+
+  return [...entries.values()];
+}
+
+async function reconcileUser(user, wordIds, stats) {
+  const entries = collectEntries(user.progress).filter(e => {
+    if (wordIds.has(e.wordId)) return true;
+    stats.skipped += 1;
+    return false;
+  });
+
+  const existing = await CardState.find({ user: user._id }, 'word direction lastReviewed').lean();
+  const current = new Map(existing.map(c => [`${c.word}:${c.direction}`, c]));
+
+  const ops = [];
+  for (const { wordId, direction, entry } of entries) {
+    const card = current.get(`${wordId}:${direction}`);
+    // CardState is newer (or as new): it already has the right schedule
+    if (card && reviewedAt(card) >= reviewedAt(entry)) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { user: user._id, word: new mongoose.Types.ObjectId(wordId), direction },
+        update: { $set: scheduleFields(normalizeEntry(entry)) },
+        upsert: true
+      }
+    });
+    if (card) stats.updated += 1;
+    else stats.inserted += 1;
+  }
+
+  if (dryRun) return;
+  if (ops.length) await CardState.bulkWrite(ops, { ordered: false });
+
+  const legacy = LEGACY_USER_FIELDS.filter(path => path.split('.').reduce((o, k) => o && o[k], user) !== undefined);
+  if (legacy.length) {
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: Object.fromEntries(legacy.map(path => [path, ''])) }
+    );
+    stats.cleaned += 1;
+  }
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI, { family: 4 });
+  console.log('✅ MongoDB connected');
+  if (dryRun) console.log('🔎 Dry run: nothing will be written');
+
+  if (!dryRun) await CardState.syncIndexes();
+
+  const wordIds = new Set((await Word.find({}, '_id').lean()).map(w => String(w._id)));
+  const stats = { users: 0, inserted: 0, updated: 0, skipped: 0, cleaned: 0 };
+
+  // Raw documents: the older fields are no longer in the User schema
+  const cursor = User.collection.find({}, { projection: { progress: 1 } });
+  for await (const user of cursor) {
+    stats.users += 1;
+    await reconcileUser(user, wordIds, stats);
+  }
+
+  if (!dryRun) {
+    await Word.collection.updateMany(
+      {},
+      { $unset: Object.fromEntries(LEGACY_WORD_FIELDS.map(field => [field, ''])) }
+    );
+  }
+
+  console.log(`✅ ${stats.users} users: ${stats.inserted} cards added, ${stats.updated} cards updated, ` +
+    `${stats.skipped} skipped (word no longer exists), ${stats.cleaned} user documents cleaned`);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
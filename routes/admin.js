@@ -1,93 +1,257 @@
-const express = require('express');
-const router = express.Router();
-const Admin = require('../models/Admin');
-
-// Test endpoint - Check if admin API is working
-router.get('/test', (req, res) => {
-  res.json({
-    status: 'Admin API is working',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// Database test endpoint - Check MongoDB connection
-router.get('/db-test', async (req, res) => {
-  try {
-    // Try to perform a simple database operation
-    const adminCount = await Admin.countDocuments();
-    res.json({
-      connected: true,
-      count: adminCount,
-      message: 'MongoDB connection successful'
-    });
-  } catch (error) {
-    res.status(500).json({
-      connected: false,
-      error: error.message
-    });
-  }
-});
-
-// Setup admin credentials
-router.post('/setup', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    // Validate input
-    if (!username || !password) {
-      return res.status(400).json({ message: 'Username and password are required' });
-    }
-    
-    if (password.length < 6) {
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
-    }
-    
-    // Check if admin already exists
-    let admin = await Admin.findOne({});
-    if (admin) {
-      // Update existing admin
-      admin.username = username;
-      admin.password = password;
-      await admin.save();
-      return res.json({ message: 'Admin credentials updated successfully' });
-    }
-    
-    // Create new admin
-    admin = new Admin({
-      username,
-      password
-    });
-    
-    await admin.save();
-    res.json({ message: 'Admin credentials created successfully' });
-  } catch (error) {
-    console.error('Error setting up admin:', error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
-});
-
-// Admin login endpoint
-router.post('/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    // Find admin user
-    const admin = await Admin.findOne({ username });
-    if (!admin) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-    
-    // Check password
-    const isValidPassword = await admin.comparePassword(password);
-    if (!isValidPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-    
-    res.json({ message: 'Login successful' });
-  } catch (error) {
-    console.error('Error during admin login:', error);
-    res.status(500).json({ message: 'Internal server error' });
-  }
-});
-
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const AdminSetup = require('../models/AdminSetup');
+const SecurityEvent = require('../models/SecurityEvent');
+const { authenticateToken, requireRole } = require('./auth');
+const { loginRateLimit } = require('../services/loginLimiter');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const logger = require('../services/logger');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '12h';
+// Every admin-management route needs a valid admin token
+const requireAdmin = [authenticateToken, requireRole('admin')];
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Constant-time comparison against ADMIN_SETUP_TOKEN (unset = no token accepted)
+function matchesSetupToken(token) {
+  const expected = process.env.ADMIN_SETUP_TOKEN;
+  if (!expected || typeof token !== 'string' || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(sha256(token)), Buffer.from(sha256(expected)));
+}
+
+// Test endpoint - Check if admin API is working
+router.get('/test', (req, res) => {
+  res.json({
+    status: 'Admin API is working',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Database test endpoint - Check MongoDB connection (admins only)
+router.get('/db-test', requireAdmin, async (req, res) => {
+  try {
+    // Try to perform a simple database operation
+    const adminCount = await Admin.countDocuments();
+    res.json({
+      connected: true,
+      count: adminCount,
+      message: 'MongoDB connection successful'
+    });
+  } catch (error) {
+    logger.error('Error checking database connection', error);
+    res.status(500).json({ connected: false, message: 'Internal server error' });
+  }
+});
+
+// Whether the first admin account still has to be created
+router.get('/setup/status', async (req, res) => {
+  try {
+    const adminCount = await Admin.countDocuments();
+    res.json({ setupRequired: adminCount === 0 });
+  } catch (error) {
+    logger.error('Error checking admin setup', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Bootstrap an admin account. Open only for the very first admin; after that it
+// needs the one-time ADMIN_SETUP_TOKEN (header X-Setup-Token or body.setupToken).
+// Both are claimed in AdminSetup before the admin is created, so parallel
+// requests can't each create one and deleting the admin doesn't free the token.
+// Existing admins are never overwritten here.
+router.post('/setup', validate(schemas.setup), async (req, res) => {
+  try {
+    const { username, password, name } = req.body;
+    const setupToken = req.get('x-setup-token') || req.body.setupToken;
+
+    const adminCount = await Admin.countDocuments();
+    const tokenMatches = matchesSetupToken(setupToken);
+    const alreadyComplete = { message: 'Admin setup is already complete. Ask an admin to create your account.' };
+    const tokenUsed = { message: 'This setup token has already been used' };
+    if (adminCount > 0 && !tokenMatches) {
+      return res.status(403).json(alreadyComplete);
+    }
+
+    const setupTokenHash = tokenMatches ? sha256(setupToken) : null;
+    // Tokens spent before claims were recorded are only on their admin
+    if (setupTokenHash && await Admin.exists({ setupTokenHash })) {
+      return res.status(403).json(tokenUsed);
+    }
+    if (await Admin.exists({ username })) {
+      return res.status(409).json({ message: 'Username is already taken' });
+    }
+
+    let claim;
+    try {
+      claim = await AdminSetup.create({ key: setupTokenHash ? `token:${setupTokenHash}` : 'first-admin' });
+    } catch (error) {
+      if (error.code === 11000) return res.status(403).json(setupTokenHash ? tokenUsed : alreadyComplete);
+      throw error;
+    }
+
+    let admin;
+    try {
+      admin = await Admin.create({ username, password, name, setupTokenHash });
+    } catch (error) {
+      // Nothing was created, so the token (or the bootstrap) can be used again
+      await AdminSetup.deleteOne({ _id: claim._id });
+      if (error.code === 11000) return res.status(409).json({ message: 'Username is already taken' });
+      throw error;
+    }
+    await AdminSetup.updateOne({ _id: claim._id }, { admin: admin._id });
+
+    res.status(201).json({ message: 'Admin account created successfully', admin });
+  } catch (error) {
+    logger.error('Error setting up admin', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Admin login endpoint
+router.post('/login', validate(schemas.login), loginRateLimit('admin', 'username', { errorKey: 'message' }), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    // Find admin user and check password
+    const admin = await Admin.findOne({ username });
+    const isValidPassword = admin ? await admin.comparePassword(password) : false;
+    if (!isValidPassword) {
+      await req.loginAttempt.failed();
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    await req.loginAttempt.succeeded();
+    
+    // Scoped token: requireRole('admin') only accepts tokens carrying this role
+    const token = jwt.sign(
+      { id: admin._id, username: admin.username, role: 'admin' },
+      JWT_SECRET,
+      { expiresIn: ADMIN_TOKEN_TTL }
+    );
+
+    res.json({
+      message: 'Login successful',
+      token,
+      admin: { id: admin._id, username: admin.username, name: admin.name }
+    });
+  } catch (error) {
+    logger.error('Error during admin login', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// -----------------------
+// Admin accounts (admins only)
+// -----------------------
+
+// The admin who is logged in
+router.get('/me', requireAdmin, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.user.id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    res.json(admin);
+  } catch (error) {
+    logger.error('Error fetching admin', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List admin accounts
+router.get('/admins', requireAdmin, async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json(admins);
+  } catch (error) {
+    logger.error('Error listing admins', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create another admin account: { username, password, name? }
+router.post('/admins', requireAdmin, validate(schemas.createAdmin), async (req, res) => {
+  try {
+    const { username, password, name } = req.body;
+    if (await Admin.exists({ username })) {
+      return res.status(409).json({ message: 'Username is already taken' });
+    }
+
+    const admin = await Admin.create({ username, password, name, createdBy: req.user.id });
+    res.status(201).json(admin);
+  } catch (error) {
+    logger.error('Error creating admin', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update an admin account: any of { username, password, name }
+router.put('/admins/:id', requireAdmin, validate(schemas.updateAdmin), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, password, name } = req.body;
+
+    const admin = await Admin.findById(id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    if (username !== undefined && username !== admin.username) {
+      if (await Admin.exists({ username, _id: { $ne: admin._id } })) {
+        return res.status(409).json({ message: 'Username is already taken' });
+      }
+      admin.username = username;
+    }
+    if (password !== undefined) admin.password = password;
+    if (name !== undefined) admin.name = name;
+
+    await admin.save();
+    res.json(admin);
+  } catch (error) {
+    logger.error('Error updating admin', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Remove an admin account (not your own, and never the last one)
+router.delete('/admins/:id', requireAdmin, validate(schemas.adminId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id === String(req.user.id)) {
+      return res.status(400).json({ message: 'You cannot remove your own admin account' });
+    }
+    if (await Admin.countDocuments() <= 1) {
+      return res.status(400).json({ message: 'Cannot remove the last admin account' });
+    }
+
+    const admin = await Admin.findByIdAndDelete(id);
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+    res.json({ message: 'Admin account removed' });
+  } catch (error) {
+    logger.error('Error removing admin', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// -----------------------
+// Security audit (admins only)
+// -----------------------
+
+// Recent security events, newest first: ?type=login_lockout&account=ana@example.com&limit=100
+router.get('/security-events', requireAdmin, validate(schemas.securityEvents), async (req, res) => {
+  try {
+    const { type, account, limit } = req.query;
+    const filter = {};
+    if (type) filter.type = type;
+    if (account) filter.account = account;
+
+    const events = await SecurityEvent.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(events);
+  } catch (error) {
+    logger.error('Error fetching security events', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,134 +1,446 @@
-const express = require('express');
-const router = express.Router();
-const User = require('../models/User');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('❌ JWT_SECRET is not set in .env file');
-  process.exit(1);
-}
-
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Access denied. No token provided.' });
-
-  try {
-    const verified = jwt.verify(token, JWT_SECRET);
-    req.user = verified;
-    next();
-  } catch (err) {
-    console.error('❌ JWT verification failed:', err.message);
-    return res.status(403).json({ error: 'Invalid or expired token.' });
-  }
-};
-
-// ------------------------
-// Register
-// ------------------------
-router.post('/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: 'Name, email, and password are required.' });
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) return res.status(400).json({ error: 'Invalid email format.' });
-
-    const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ error: 'User already exists.' });
-
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    const user = new User({ name, email, password: hashedPassword });
-    await user.save();
-
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name,
-        email,
-        progress: user.progress,
-        streak: user.streak
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed.' });
-  }
-});
-
-// ------------------------
-// Login
-// ------------------------
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password are required.' });
-
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials.' });
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials.' });
-
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email,
-        progress: user.progress,
-        streak: user.streak
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed.' });
-  }
-});
-
-// ------------------------
-// Get current user
-// ------------------------
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('-password');
-    if (!user) return res.status(404).json({ error: 'User not found.' });
-    res.json(user);
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user.' });
-  }
-});
-
-// ------------------------
-// Update user progress
-// ------------------------
-router.put('/progress', authenticateToken, async (req, res) => {
-  try {
-    const { progress } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { progress },
-      { new: true, select: '-password' }
-    );
-    if (!user) return res.status(404).json({ error: 'User not found.' });
-    res.json(user);
-  } catch (error) {
-    console.error('Update progress error:', error);
-    res.status(500).json({ error: 'Failed to update progress.' });
-  }
-});
-
-// ✅ Export both router and middleware
-module.exports = { router, authenticateToken };
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Journal = require('../models/Journal');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const {
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { createAccountToken, accountTokenFilter, clearAccountToken } = require('../services/accountTokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountEmails');
+const { loginRateLimit } = require('../services/loginLimiter');
+const {
+  collectUserData,
+  streamZip,
+  scheduleDeletion,
+  cancelDeletion
+} = require('../services/accountData');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const logger = require('../services/logger');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  logger.error('JWT_SECRET is not set in .env file');
+  process.exit(1);
+}
+
+// Authentication middleware
+const authenticateToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'Access denied. No token provided.' });
+
+  try {
+    const verified = jwt.verify(token, JWT_SECRET);
+    req.user = verified;
+    next();
+  } catch (err) {
+    logger.warn('JWT verification failed', { reason: err.message });
+    return res.status(403).json({ error: 'Invalid or expired token.' });
+  }
+};
+
+// Tokens issued before roles existed belong to learners
+const hasRole = (user, ...roles) => !!user && roles.includes(user.role || 'learner');
+
+// Role check, used after authenticateToken: requireRole('admin')
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Access denied. No token provided.' });
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({ error: 'You do not have permission to do this.' });
+  }
+  next();
+};
+
+// ------------------------
+// Register
+// ------------------------
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) return res.status(400).json({ error: 'User already exists.' });
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const user = new User({ name, email, password: hashedPassword });
+    const verificationToken = createAccountToken(user, 'emailVerification');
+    await user.save();
+
+    // Registration succeeds even if the mail can't go out; the user can ask again
+    sendVerificationEmail(user, verificationToken)
+      .catch(err => logger.error('Verification email error', err));
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name,
+        email,
+        emailVerified: user.emailVerified,
+        deletionScheduledFor: user.deletion?.scheduledFor || null,
+        progress: user.progress,
+        streak: user.streak
+      }
+    });
+  } catch (error) {
+    logger.error('Registration error', error);
+    res.status(500).json({ error: 'Registration failed.' });
+  }
+});
+
+// ------------------------
+// Login
+// ------------------------
+router.post('/login', validate(schemas.login), loginRateLimit('user', 'email'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isMatch) {
+      await req.loginAttempt.failed();
+      return res.status(400).json({ error: 'Invalid credentials.' });
+    }
+    await req.loginAttempt.succeeded();
+
+    const { token, refreshToken, expiresIn } = await issueSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        name: user.name,
+        email,
+        emailVerified: user.emailVerified,
+        deletionScheduledFor: user.deletion?.scheduledFor || null,
+        progress: user.progress,
+        streak: user.streak
+      }
+    });
+  } catch (error) {
+    logger.error('Login error', error);
+    res.status(500).json({ error: 'Login failed.' });
+  }
+});
+
+// ------------------------
+// Refresh: swap a refresh token for a new access/refresh pair
+// ------------------------
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) return res.status(401).json({ error: result.error });
+
+    res.json(result.session);
+  } catch (error) {
+    logger.error('Token refresh error', error);
+    res.status(500).json({ error: 'Failed to refresh session.' });
+  }
+});
+
+// ------------------------
+// Logout (this device)
+// ------------------------
+router.post('/logout', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeSession(refreshToken);
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    logger.error('Logout error', error);
+    res.status(500).json({ error: 'Logout failed.' });
+  }
+});
+
+// ------------------------
+// Logout from all devices
+// ------------------------
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id);
+    res.json({ message: 'Logged out from all devices.', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    logger.error('Logout-all error', error);
+    res.status(500).json({ error: 'Logout failed.' });
+  }
+});
+
+// ------------------------
+// Change password: revokes every session, then starts a new one for this device
+// (server.js also mounts this at the old /auth/change-password path)
+// ------------------------
+const changePassword = [validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    const session = await issueSession(user, req);
+
+    res.json({ message: 'Password changed successfully', ...session });
+  } catch (error) {
+    logger.error('Error changing password', error);
+    res.status(500).json({ error: 'Error changing password' });
+  }
+}];
+
+router.post('/change-password', authenticateToken, changePassword);
+
+// ------------------------
+// Password reset: request an email, then confirm with the emailed token
+// ------------------------
+router.post('/password-reset/request', validate(schemas.requestPasswordReset), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so emails can't be probed:
+    // the mail goes out in the background and its errors are only logged
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = createAccountToken(user, 'passwordReset');
+      await user.save();
+      sendPasswordResetEmail(user, token)
+        .catch(err => logger.error('Password reset email error', err));
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  } catch (error) {
+    logger.error('Password reset request error', error);
+    res.status(500).json({ error: 'Failed to request password reset.' });
+  }
+});
+
+router.post('/password-reset/confirm', validate(schemas.confirmPasswordReset), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await User.findOne(accountTokenFilter('passwordReset', token));
+    if (!user) return res.status(400).json({ error: 'Invalid or expired reset token.' });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    clearAccountToken(user, 'passwordReset');
+    // The reset link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id);
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    logger.error('Password reset confirm error', error);
+    res.status(500).json({ error: 'Failed to reset password.' });
+  }
+});
+
+// ------------------------
+// Email verification
+// ------------------------
+router.post('/verify-email/request', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    if (user.emailVerified) return res.json({ message: 'Email is already verified.' });
+
+    const token = createAccountToken(user, 'emailVerification');
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.json({ message: 'Verification email sent.' });
+  } catch (error) {
+    logger.error('Verification request error', error);
+    res.status(500).json({ error: 'Failed to send verification email.' });
+  }
+});
+
+router.post('/verify-email/confirm', validate(schemas.confirmEmail), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOne(accountTokenFilter('emailVerification', token));
+    if (!user) return res.status(400).json({ error: 'Invalid or expired verification token.' });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    clearAccountToken(user, 'emailVerification');
+    await user.save();
+
+    res.json({ message: 'Email verified.', emailVerified: true });
+  } catch (error) {
+    logger.error('Verification confirm error', error);
+    res.status(500).json({ error: 'Failed to verify email.' });
+  }
+});
+
+// ------------------------
+// Get current user
+// ------------------------
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    res.json(user);
+  } catch (error) {
+    logger.error('Get user error', error);
+    res.status(500).json({ error: 'Failed to get user.' });
+  }
+});
+
+// ------------------------
+// Export all of the user's data: ?format=json (default) or ?format=zip
+// ------------------------
+router.get('/me/export', authenticateToken, validate(schemas.exportData), async (req, res) => {
+  try {
+    const { format } = req.query;
+
+    const data = await collectUserData(req.user.id);
+    if (!data) return res.status(404).json({ error: 'User not found.' });
+
+    const filename = `portuguese-learning-export-${data.exportedAt.toISOString().slice(0, 10)}`;
+    if (format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      return await streamZip(data, res);
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json(data);
+  } catch (error) {
+    logger.error('Data export error', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to export data.' });
+  }
+});
+
+// ------------------------
+// Delete account: Body { password }. Everything is removed after a grace
+// period; until then the user can log in and cancel.
+// ------------------------
+router.delete('/me', authenticateToken, validate(schemas.deleteAccount), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(400).json({ error: 'Password is incorrect.' });
+
+    if (!user.deletion?.scheduledFor) scheduleDeletion(user);
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({
+      message: 'Your account will be deleted. Log in and cancel before then to keep it.',
+      deletionScheduledFor: user.deletion.scheduledFor
+    });
+  } catch (error) {
+    logger.error('Account deletion error', error);
+    res.status(500).json({ error: 'Failed to delete account.' });
+  }
+});
+
+router.post('/me/cancel-deletion', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    cancelDeletion(user);
+    await user.save();
+    res.json({ message: 'Account deletion cancelled.' });
+  } catch (error) {
+    logger.error('Cancel deletion error', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion.' });
+  }
+});
+
+// ------------------------
+// Journal streak: consecutive days with an entry, saved on the user
+// ------------------------
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const journalEntries = await Journal.find({ userId: req.user.id }).sort({ date: -1 });
+    let streak = 0;
+    const oneDay = 24 * 60 * 60 * 1000;
+    const today = new Date().setHours(0,0,0,0);
+
+    if (journalEntries.length > 0) {
+      const lastEntryDate = new Date(journalEntries[0].date).setHours(0,0,0,0);
+      if (lastEntryDate === today || lastEntryDate === today - oneDay) {
+        streak = 1;
+        for (let i = 1; i < journalEntries.length; i++) {
+          const prev = new Date(journalEntries[i-1].date).setHours(0,0,0,0);
+          const curr = new Date(journalEntries[i].date).setHours(0,0,0,0);
+          if (prev - curr === oneDay) {
+            streak++;
+          } else {
+            break;
+          }
+        }
+      }
+    }
+
+    const user = await User.findById(req.user.id);
+    user.streak = {
+      current: streak,
+      longest: Math.max(user.streak?.longest || 0, streak),
+      last_active: new Date().toISOString()
+    };
+    await user.save();
+
+    res.json({ streak: user.streak });
+  } catch (err) {
+    logger.error('Error updating streak', err);
+    res.status(500).json({ error: 'Error updating streak' });
+  }
+});
+
+// ------------------------
+// Update user progress
+// ------------------------
+router.put('/progress', authenticateToken, validate(schemas.updateProgress), async (req, res) => {
+  try {
+    const { progress } = req.body;
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { progress },
+      { new: true, select: '-password' }
+    );
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+    res.json(user);
+  } catch (error) {
+    logger.error('Update progress error', error);
+    res.status(500).json({ error: 'Failed to update progress.' });
+  }
+});
+
+// ✅ Export router and middleware
+module.exports = { router, authenticateToken, requireRole, hasRole, changePassword };
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const Conjugation = require('../models/Conjugation');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/conjugations');
+const { completeConjugations } = require('../services/conjugator');
+const drill = require('../services/conjugationDrill');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/conjugations/random/:count
+ */
+router.get('/random/:count', validate(schemas.randomConjugations), async (req, res) => {
+  try {
+    const conjugations = await Conjugation.aggregate([
+      { $sample: { size: req.params.count } }
+    ]);
+    res.json(conjugations);
+  } catch (err) {
+    logger.error('Error fetching random conjugations', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/conjugations/drill?count=10&tense=past&tense=imperfect
+ * Prompts for single forms: [{ conjugationId, verb, english, tense, person, pronoun }].
+ * Forms from the tenses and persons the user gets wrong most come up more often.
+ */
+router.get('/drill', authenticateToken, validate(schemas.drillPrompts), async (req, res) => {
+  try {
+    const prompts = await drill.pickPrompts(req.user.id, { count: req.query.count, tenses: req.query.tense });
+    res.json(prompts);
+  } catch (err) {
+    logger.error('Error building conjugation drill', err);
+    res.status(500).json({ error: 'Error building conjugation drill' });
+  }
+});
+
+/**
+ * POST /api/conjugations/drill/answer
+ * Body: { conjugationId, tense, person, answer }
+ * Checks the typed form (missing or wrong accents still count as correct, with
+ * accentMismatch set) and records it. Response: { correct, exact, accentMismatch,
+ * expected, matched, progress: { tense, person, attempts, correct, accentMistakes, accuracy } }
+ */
+router.post('/drill/answer', authenticateToken, validate(schemas.drillAnswer), async (req, res) => {
+  try {
+    const result = await drill.answerPrompt(req.user.id, req.body);
+    if (!result) return res.status(404).json({ error: 'Conjugation form not found' });
+    res.json(result);
+  } catch (err) {
+    logger.error('Error checking conjugation answer', err);
+    res.status(500).json({ error: 'Error checking answer' });
+  }
+});
+
+/**
+ * GET /api/conjugations/drill/progress
+ * The user's drill accuracy per tense and person, plus their weakest tenses.
+ */
+router.get('/drill/progress', authenticateToken, async (req, res) => {
+  try {
+    res.json(await drill.drillProgress(req.user.id));
+  } catch (err) {
+    logger.error('Error fetching conjugation progress', err);
+    res.status(500).json({ error: 'Error fetching conjugation progress' });
+  }
+});
+
+/**
+ * GET /api/conjugations
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conjugations = await Conjugation.find().sort({ verb: 1 });
+    res.json(conjugations);
+  } catch (err) {
+    logger.error('Error fetching conjugations', err);
+    res.status(500).json({ error: 'Error fetching conjugations' });
+  }
+});
+
+/**
+ * POST /api/conjugations
+ * Forms left out of a regular -ar/-er/-ir verb are filled with the generated conjugation.
+ * The response adds
+ * generated: { filled: ['past.eu', ...], irregular: [{ tense, person, form, regular }] }
+ * listing the forms that were filled in and the given forms that differ from the regular
+ * ones (for any verb type); it is null when the verb can't be conjugated (e.g. pôr).
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createConjugation), async (req, res) => {
+  try {
+    const { conjugations, filled, irregular } = completeConjugations(req.body.verb, req.body.conjugations, {
+      fill: req.body.type !== 'irregular'
+    });
+    const conjugation = new Conjugation({ ...req.body, conjugations });
+    await conjugation.save();
+    res.status(201).json({ ...conjugation.toJSON(), generated: filled && { filled, irregular } });
+  } catch (err) {
+    logger.error('Error creating conjugation', err);
+    res.status(400).json({ error: 'Error creating conjugation' });
+  }
+});
+
+/**
+ * PUT /api/conjugations/:id
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validate(schemas.updateConjugation), async (req, res) => {
+  try {
+    const conjugation = await Conjugation.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!conjugation) return res.status(404).json({ error: 'Conjugation not found' });
+    res.json(conjugation);
+  } catch (err) {
+    logger.error('Error updating conjugation', err);
+    res.status(400).json({ error: 'Error updating conjugation' });
+  }
+});
+
+/**
+ * DELETE /api/conjugations/:id
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), validate(schemas.conjugationId), async (req, res) => {
+  try {
+    const conjugation = await Conjugation.findByIdAndDelete(req.params.id);
+    if (!conjugation) return res.status(404).json({ error: 'Conjugation not found' });
+    res.json({ message: 'Conjugation deleted' });
+  } catch (err) {
+    logger.error('Error deleting conjugation', err);
+    res.status(500).json({ error: 'Error deleting conjugation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/contentExport');
+const { writeCsv, writeXlsx, COLLECTION_NAMES } = require('../services/contentExport');
+const logger = require('../services/logger');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+router.use(authenticateToken, requireRole('admin'));
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Once streaming has started the status is sent; all we can do is cut the download short
+function exportFailed(res, err) {
+  logger.error('Error exporting content', err);
+  if (res.headersSent) return res.destroy(err);
+  res.removeHeader('Content-Disposition');
+  res.removeHeader('Content-Type');
+  res.status(500).json({ error: 'Error exporting content' });
+}
+
+/**
+ * GET /api/admin/export?format=xlsx
+ * Every content collection (words, conjugations, stories, tests, grammar lessons,
+ * image prompts) as one XLSX workbook with a sheet each.
+ */
+router.get('/', validate(schemas.exportAll), async (req, res) => {
+  try {
+    res.attachment(`content-${today()}.xlsx`);
+    res.type(XLSX_TYPE);
+    await writeXlsx(COLLECTION_NAMES, res);
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+/**
+ * GET /api/admin/export/:collection?format=csv|xlsx
+ * One collection: words, conjugations, stories, tests, grammar or image-prompts.
+ * CSV by default.
+ */
+router.get('/:collection', validate(schemas.exportCollection), async (req, res) => {
+  try {
+    const { collection } = req.params;
+    const { format } = req.query;
+
+    res.attachment(`${collection}-${today()}.${format}`);
+    if (format === 'xlsx') {
+      res.type(XLSX_TYPE);
+      await writeXlsx([collection], res);
+    } else {
+      res.type('text/csv; charset=utf-8');
+      await writeCsv(collection, res);
+    }
+  } catch (err) {
+    exportFailed(res, err);
+  }
+});
+
+module.exports = router;
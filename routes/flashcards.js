@@ -1,297 +1,475 @@
-const express = require('express');
-const mongoose = require('mongoose');
-const router = express.Router();
-
-const Word = require('../models/Word');
-const User = require('../models/User');
-
-// Use authenticateToken exported from routes/auth.js
-const { authenticateToken } = require('./auth');
-
-// Helper to validate ObjectId
-const isValidObjectId = (id) => {
-  try {
-    return mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === id;
-  } catch (e) {
-    return false;
-  }
-};
-
-// Helper to ensure user has proper progress structure
-function ensureProgressStructure(user) {
-  if (!user.progress) {
-    user.progress = {
-      words: {},
-      wordsHistory: [],
-      mastered: [],
-      needsReview: []
-    };
-  }
-  
-  if (!user.progress.words) user.progress.words = {};
-  if (!user.progress.wordsHistory) user.progress.wordsHistory = [];
-  if (!Array.isArray(user.progress.mastered)) user.progress.mastered = [];
-  if (!Array.isArray(user.progress.needsReview)) user.progress.needsReview = [];
-  
-  return user;
-}
-
-function getProgressEntry(user, wordId) {
-  // Ensure user has progress structure
-  user = ensureProgressStructure(user);
-  
-  // For lean queries, we can't modify the object, so we need to handle it differently
-  // Check if the progress structure exists, but don't try to modify it
-  const hasWordsMap = user.progress.words && typeof user.progress.words === 'object';
-  const hasWordsHistory = Array.isArray(user.progress.wordsHistory);
-  
-  // Prefer map entry if present
-  if (hasWordsMap && user.progress.words[wordId]) {
-    return user.progress.words[wordId];
-  }
-
-  // Fallback to history entry
-  if (hasWordsHistory) {
-    const historyEntry = user.progress.wordsHistory.find(e => String(e.wordId) === String(wordId));
-    if (historyEntry) {
-      // Normalize keys
-      return {
-        ease: typeof historyEntry.ease === 'number' ? historyEntry.ease : 2.5,
-        interval: typeof historyEntry.interval === 'number' ? historyEntry.interval : 0,
-        reviewCount: historyEntry.reviewCount || 0,
-        lastReviewed: historyEntry.lastReviewed,
-        nextReview: historyEntry.nextReview
-      };
-    }
-  }
-
-  // If neither exists, return default
-  return {
-    ease: 2.5,
-    interval: 0,
-    reviewCount: 0,
-    lastReviewed: null,
-    nextReview: null
-  };
-}
-
-function setProgressEntry(user, wordId, entry) {
-  // Ensure user has progress structure
-  user = ensureProgressStructure(user);
-  
-  // Write preferred map entry
-  user.progress.words[wordId] = {
-    ease: entry.ease,
-    interval: entry.interval,
-    reviewCount: entry.reviewCount,
-    lastReviewed: entry.lastReviewed,
-    nextReview: entry.nextReview
-  };
-
-  // Maintain a history array entry (upsert)
-  const idx = user.progress.wordsHistory.findIndex(e => String(e.wordId) === String(wordId));
-  const historyObj = {
-    wordId,
-    ease: entry.ease,
-    interval: entry.interval,
-    reviewCount: entry.reviewCount,
-    lastReviewed: entry.lastReviewed,
-    nextReview: entry.nextReview
-  };
-  if (idx === -1) user.progress.wordsHistory.push(historyObj);
-  else user.progress.wordsHistory[idx] = historyObj;
-
-  // Update mastered / needsReview arrays
-  const masteredIdx = user.progress.mastered.findIndex(id => String(id) === String(wordId));
-  const needsIdx = user.progress.needsReview.findIndex(id => String(id) === String(wordId));
-  const isMastered = entry.interval >= 21; // Mastered if interval is 21 days or more
-  const isNeeds = entry.interval < 7; // Needs review if interval is less than 7 days
-
-  // Add/remove from arrays based on above
-  if (isMastered) {
-    if (masteredIdx === -1) user.progress.mastered.push(wordId);
-    if (needsIdx !== -1) user.progress.needsReview.splice(needsIdx, 1);
-  } else if (isNeeds) {
-    if (needsIdx === -1) user.progress.needsReview.push(wordId);
-    if (masteredIdx !== -1) user.progress.mastered.splice(masteredIdx, 1);
-  } else {
-    // neither; remove from both if present
-    if (masteredIdx !== -1) user.progress.mastered.splice(masteredIdx, 1);
-    if (needsIdx !== -1) user.progress.needsReview.splice(needsIdx, 1);
-  }
-}
-
-/**
- * GET /api/flashcards
- * Returns all words merged with the logged-in user's progress.
- */
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    if (!isValidObjectId(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-
-    const user = await User.findById(userId).lean();
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const words = await Word.find().sort({ portuguese: 1 });
-
-    // Merge per-word progress
-    const wordsWithProgress = words.map((w) => {
-      const wordId = String(w._id);
-      const progress = getProgressEntry(user, wordId) || {};
-
-      return {
-        ...w.toObject(),
-        ease: typeof progress.ease === 'number' ? progress.ease : 2.5,
-        interval: typeof progress.interval === 'number' ? progress.interval : 0,
-        reviewCount: progress.reviewCount || 0,
-        lastReviewed: progress.lastReviewed || null,
-        nextReview: progress.nextReview || null
-      };
-    });
-
-    res.json(wordsWithProgress);
-  } catch (err) {
-    console.error('Error fetching user flashcards:', err);
-    res.status(500).json({ error: 'Server error fetching user flashcards', details: err.message });
-  }
-});
-
-/**
- * POST /api/flashcards/review
- * Body: { wordId: string, difficulty: 'easy'|'medium'|'hard' }
- * Saves user-specific review/progress for that word.
- */
-router.post('/review', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { wordId, difficulty } = req.body;
-
-    if (!wordId || !difficulty) {
-      return res.status(400).json({ error: 'wordId and difficulty are required' });
-    }
-    if (!isValidObjectId(userId) || !isValidObjectId(wordId)) {
-      return res.status(400).json({ error: 'Invalid userId or wordId' });
-    }
-
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const word = await Word.findById(wordId);
-    if (!word) {
-      return res.status(404).json({ error: 'Word not found' });
-    }
-
-    // Ensure user has progress structure
-    ensureProgressStructure(user);
-
-    // Read previous progress (normalize)
-    const prev = getProgressEntry(user, wordId);
-    let ease = typeof prev.ease === 'number' ? prev.ease : 2.5;
-    let interval = typeof prev.interval === 'number' ? prev.interval : 0;
-    let reviewCount = prev.reviewCount || 0;
-
-    // Standard SM-2 algorithm implementation
-    if (difficulty === 'easy') {
-      ease = Math.min(3.0, ease + 0.15);
-      interval = interval === 0 ? 1 : Math.ceil(interval * ease);
-    } else if (difficulty === 'medium') {
-      // Slight decrease in ease for medium difficulty
-      ease = Math.max(1.3, ease - 0.05);
-      interval = interval === 0 ? 1 : Math.ceil(interval * 1.2);
-    } else {
-      // hard - reset interval and decrease ease more
-      ease = Math.max(1.3, ease - 0.2);
-      interval = 1;
-    }
-
-    const now = new Date();
-    const nextReview = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
-
-    const updated = {
-      ease,
-      interval,
-      reviewCount: reviewCount + 1,
-      lastReviewed: now,
-      nextReview: nextReview
-    };
-
-    // Persist using helper
-    setProgressEntry(user, wordId, updated);
-
-    await user.save();
-
-    return res.json({
-      message: 'Review saved',
-      wordId,
-      progress: updated
-    });
-  } catch (err) {
-    console.error('Error saving review:', err);
-    res.status(500).json({ error: 'Error saving flashcard review', details: err.message });
-  }
-});
-
-/**
- * GET /api/flashcards/due
- * Returns words that are due for review (nextReview <= now)
- */
-router.get('/due', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    if (!isValidObjectId(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID' });
-    }
-
-    const user = await User.findById(userId).lean();
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const words = await Word.find().sort({ portuguese: 1 });
-    const now = new Date();
-
-    // Filter words that are due for review
-    const dueWords = words.filter((w) => {
-      const wordId = String(w._id);
-      const progress = getProgressEntry(user, wordId) || {};
-      
-      // If never reviewed or nextReview is null, it's due
-      if (!progress.nextReview) return true;
-      
-      // Convert to Date object if it's stored as string
-      const nextReviewDate = typeof progress.nextReview === 'string' 
-        ? new Date(progress.nextReview) 
-        : progress.nextReview;
-      
-      return nextReviewDate <= now;
-    }).map((w) => {
-      const wordId = String(w._id);
-      const progress = getProgressEntry(user, wordId) || {};
-
-      return {
-        ...w.toObject(),
-        ease: typeof progress.ease === 'number' ? progress.ease : 2.5,
-        interval: typeof progress.interval === 'number' ? progress.interval : 0,
-        reviewCount: progress.reviewCount || 0,
-        lastReviewed: progress.lastReviewed || null,
-        nextReview: progress.nextReview || null
-      };
-    });
-
-    res.json(dueWords);
-  } catch (err) {
-    console.error('Error fetching due flashcards:', err);
-    res.status(500).json({ error: 'Server error fetching due flashcards', details: err.message });
-  }
-});
-
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Word = require('../models/Word');
+const User = require('../models/User');
+const ReviewLog = require('../models/ReviewLog');
+
+// Use authenticateToken exported from routes/auth.js
+const { authenticateToken } = require('./auth');
+const {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  DEFAULT_LEARNING_STEPS,
+  DEFAULT_RELEARNING_STEPS,
+  parseGrade,
+  applyReview
+} = require('../services/scheduler');
+const { parseTimezone, dayBounds } = require('../services/dates');
+const { checkTypedAnswer } = require('../services/cardDirections');
+const { gradeFromCheck } = require('../services/answerCheck');
+const anki = require('../services/anki');
+const {
+  getCardState,
+  saveCardState,
+  attachCardStates,
+  findNewCards,
+  countNewCards,
+  findDueCards,
+  findSessionCards
+} = require('../services/cardStates');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/flashcards');
+const logger = require('../services/logger');
+
+// Helper to validate ObjectId
+const isValidObjectId = (id) => {
+  try {
+    return mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === id;
+  } catch (e) {
+    return false;
+  }
+};
+
+// The user's flashcard settings with defaults filled in
+function flashcardSettings(user) {
+  const settings = user.settings?.flashcards || {};
+  return {
+    algorithm: settings.algorithm || DEFAULT_ALGORITHM,
+    newCardsPerDay: settings.newCardsPerDay ?? 20,
+    maxReviewsPerDay: settings.maxReviewsPerDay ?? 200,
+    learningSteps: settings.learningSteps?.length ? [...settings.learningSteps] : DEFAULT_LEARNING_STEPS,
+    relearningSteps: settings.relearningSteps ? [...settings.relearningSteps] : DEFAULT_RELEARNING_STEPS
+  };
+}
+
+// Optional ?page=&limit= paging (max 100 per page); null when neither is given
+function parsePaging(query) {
+  if (query.page === undefined && query.limit === undefined) return null;
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+function paginationInfo({ page, limit }, total) {
+  const pages = Math.ceil(total / limit);
+  return { page, limit, total, pages, hasMore: page < pages };
+}
+
+/**
+ * GET /api/flashcards?direction=recognition|production|typed&page=1&limit=20
+ * Returns all words merged with the logged-in user's progress for that card direction.
+ * With page/limit the response is { cards, pagination } instead of a plain array.
+ */
+router.get('/', authenticateToken, validate(schemas.listCards), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { direction } = req.query;
+    const paging = parsePaging(req.query);
+    
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const query = Word.find().sort({ portuguese: 1 });
+    if (paging) query.skip(paging.skip).limit(paging.limit);
+
+    // Progress for just these words, in one query
+    const wordsWithProgress = await attachCardStates(userId, await query, direction);
+
+    if (!paging) return res.json(wordsWithProgress);
+    res.json({
+      cards: wordsWithProgress,
+      pagination: paginationInfo(paging, await Word.countDocuments())
+    });
+  } catch (err) {
+    logger.error('Error fetching user flashcards', err);
+    res.status(500).json({ error: 'Server error fetching user flashcards' });
+  }
+});
+
+/**
+ * POST /api/flashcards/check
+ * Body: { wordId: string, answer: string }
+ * Checks a typed Portuguese answer without scheduling anything.
+ */
+router.post('/check', authenticateToken, validate(schemas.checkAnswer), async (req, res) => {
+  try {
+    const { wordId, answer } = req.body;
+
+    const word = await Word.findById(wordId);
+    if (!word) {
+      return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const result = checkTypedAnswer(word, answer);
+    res.json({ ...result, suggestedQuality: gradeFromCheck(result) });
+  } catch (err) {
+    logger.error('Error checking typed answer', err);
+    res.status(500).json({ error: 'Error checking answer' });
+  }
+});
+
+/**
+ * POST /api/flashcards/review
+ * Body: { wordId: string, direction?: 'recognition'|'production'|'typed', quality: 0-5, responseTimeMs?: number }
+ *   or the legacy { wordId, difficulty: 'easy'|'medium'|'hard' }
+ *   Typed cards may send { answer } instead of a quality; it is checked and graded on the server.
+ * Schedules the card with the user's chosen algorithm (SM-2 or FSRS), saves their progress
+ * and appends the review to the ReviewLog.
+ */
+router.post('/review', authenticateToken, validate(schemas.review), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { wordId, answer, direction } = req.body;
+    const gradesTypedAnswer = direction === 'typed' && answer !== undefined;
+    let quality = gradesTypedAnswer ? null : parseGrade(req.body);
+
+    if (quality === null && !gradesTypedAnswer) {
+      return res.status(400).json({ error: 'A quality (0-5) or difficulty is required' });
+    }
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const word = await Word.findById(wordId);
+    if (!word) {
+      return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const check = gradesTypedAnswer ? checkTypedAnswer(word, answer) : null;
+    if (check) quality = gradeFromCheck(check);
+
+    const { algorithm, learningSteps, relearningSteps } = flashcardSettings(user);
+    const prev = await getCardState(user._id, word._id, direction);
+    const updated = applyReview(prev, quality, { algorithm, learningSteps, relearningSteps });
+
+    await saveCardState(user._id, word._id, updated, direction);
+
+    // Reviewing counts as activity for the streak
+    user.recordActivity();
+    await user.save();
+
+    const { responseTimeMs } = req.body;
+    await ReviewLog.create({
+      user: user._id,
+      word: word._id,
+      direction,
+      grade: quality,
+      algorithm,
+      previous: { ease: prev.ease, interval: prev.interval, nextReview: prev.nextReview, state: prev.state },
+      next: { ease: updated.ease, interval: updated.interval, nextReview: updated.nextReview, state: updated.state },
+      responseTimeMs: responseTimeMs ?? null,
+      reviewedAt: updated.lastReviewed
+    });
+
+    return res.json({
+      message: 'Review saved',
+      wordId,
+      direction,
+      check,
+      algorithm,
+      quality,
+      progress: updated
+    });
+  } catch (err) {
+    logger.error('Error saving review', err);
+    res.status(500).json({ error: 'Error saving flashcard review' });
+  }
+});
+
+/**
+ * GET /api/flashcards/reviews/word/:wordId?direction=typed
+ * Every logged review of one word by the user, newest first (optionally one direction only).
+ */
+router.get('/reviews/word/:wordId', authenticateToken, validate(schemas.wordReviews), async (req, res) => {
+  try {
+    const { wordId } = req.params;
+    const filter = { user: req.user.id, word: wordId };
+    if (req.query.direction) filter.direction = req.query.direction;
+
+    const reviews = await ReviewLog.find(filter).sort({ reviewedAt: -1 });
+    res.json(reviews);
+  } catch (err) {
+    logger.error('Error fetching word review log', err);
+    res.status(500).json({ error: 'Error fetching review log' });
+  }
+});
+
+/**
+ * GET /api/flashcards/reviews/day/:date?tz=Europe/Lisbon
+ * Every review the user made on one day (date format: "2025-08-31").
+ */
+router.get('/reviews/day/:date', authenticateToken, validate(schemas.dayReviews), async (req, res) => {
+  try {
+    const { date } = req.params;
+    const timezone = parseTimezone(req.query.tz);
+    const dayStart = new Date(`${date}T00:00:00.000Z`);
+    if (isNaN(dayStart)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    // Widen the range by a day on each side, then match the local calendar day exactly
+    const oneDay = 24 * 60 * 60 * 1000;
+    const reviews = await ReviewLog.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user.id),
+          reviewedAt: { $gte: new Date(dayStart - oneDay), $lt: new Date(dayStart.getTime() + 2 * oneDay) }
+        }
+      },
+      { $match: { $expr: { $eq: [{ $dateToString: { format: '%Y-%m-%d', date: '$reviewedAt', timezone } }, date] } } },
+      { $sort: { reviewedAt: 1 } }
+    ]);
+
+    res.json(reviews.map(r => ReviewLog.hydrate(r).toJSON()));
+  } catch (err) {
+    logger.error('Error fetching daily review log', err);
+    res.status(500).json({ error: 'Error fetching review log' });
+  }
+});
+
+/**
+ * GET /api/flashcards/reviews/daily?from=2025-08-01&to=2025-08-31&tz=Europe/Lisbon
+ * Per-day totals: reviews, distinct words, lapses (grade < 3), average grade and response time.
+ * Defaults to the last 30 days.
+ */
+router.get('/reviews/daily', authenticateToken, validate(schemas.dailyStats), async (req, res) => {
+  try {
+    const timezone = parseTimezone(req.query.tz);
+
+    const oneDay = 24 * 60 * 60 * 1000;
+    const to = req.query.to ? new Date(`${req.query.to}T00:00:00.000Z`) : new Date();
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00.000Z`) : new Date(to - 30 * oneDay);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+    }
+
+    const days = await ReviewLog.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user.id),
+          reviewedAt: { $gte: new Date(from - oneDay), $lt: new Date(to.getTime() + 2 * oneDay) }
+        }
+      },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$reviewedAt', timezone } },
+          reviews: { $sum: 1 },
+          words: { $addToSet: '$word' },
+          lapses: { $sum: { $cond: [{ $lt: ['$grade', 3] }, 1, 0] } },
+          averageGrade: { $avg: '$grade' },
+          averageResponseTimeMs: { $avg: '$responseTimeMs' }
+        }
+      },
+      {
+        $match: {
+          _id: { $gte: from.toISOString().slice(0, 10), $lte: to.toISOString().slice(0, 10) }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json(days.map(d => ({
+      date: d._id,
+      reviews: d.reviews,
+      words: d.words.length,
+      lapses: d.lapses,
+      averageGrade: Math.round(d.averageGrade * 100) / 100,
+      averageResponseTimeMs: d.averageResponseTimeMs === null ? null : Math.round(d.averageResponseTimeMs)
+    })));
+  } catch (err) {
+    logger.error('Error fetching review stats', err);
+    res.status(500).json({ error: 'Error fetching review stats' });
+  }
+});
+
+/**
+ * GET /api/flashcards/settings
+ * Returns the user's scheduler choice and daily session limits.
+ */
+router.get('/settings', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('settings');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...flashcardSettings(user), algorithms: ALGORITHMS });
+  } catch (err) {
+    logger.error('Error fetching flashcard settings', err);
+    res.status(500).json({ error: 'Error fetching flashcard settings' });
+  }
+});
+
+/**
+ * GET /api/flashcards/export/anki?group=Food&group=Travel&direction=recognition
+ * The user's flashcards as an Anki .apkg deck: one note per word (optionally only
+ * the given groups, which also become tags) and one card per direction (all by default).
+ * Each card keeps its interval, ease, review count and due date; the deck options
+ * follow the user's daily limits and learning steps.
+ */
+router.get('/export/anki', authenticateToken, validate(schemas.ankiExport), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('settings');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const deck = await anki.exportDeck(user._id, {
+      groups: req.query.group,
+      directions: req.query.direction,
+      settings: flashcardSettings(user)
+    });
+    res.attachment(`flashcards-${new Date().toISOString().slice(0, 10)}.apkg`);
+    res.send(deck);
+  } catch (err) {
+    logger.error('Error exporting flashcards to Anki', err);
+    res.status(500).json({ error: 'Error exporting flashcards' });
+  }
+});
+
+/**
+ * PUT /api/flashcards/settings
+ * Body (all optional): { algorithm: 'sm2'|'fsrs', newCardsPerDay, maxReviewsPerDay,
+ *   learningSteps: [minutes], relearningSteps: [minutes] }
+ * Existing progress is kept; a new algorithm picks up from each word's current schedule.
+ */
+router.put('/settings', authenticateToken, validate(schemas.updateSettings), async (req, res) => {
+  try {
+    // Only the validated fields that were sent
+    const update = {};
+    for (const [field, value] of Object.entries(req.body)) {
+      update[`settings.flashcards.${field}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: update },
+      { new: true, select: 'settings' }
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...flashcardSettings(user), algorithms: ALGORITHMS });
+  } catch (err) {
+    logger.error('Error updating flashcard settings', err);
+    res.status(500).json({ error: 'Error updating flashcard settings' });
+  }
+});
+
+/**
+ * GET /api/flashcards/session?direction=recognition&tz=Europe/Lisbon
+ * Today's study queue: learning/relearning cards that are due, then review cards
+ * due today up to maxReviewsPerDay, then new cards up to newCardsPerDay.
+ * Both limits count what the user already reviewed today (from the ReviewLog).
+ */
+router.get('/session', authenticateToken, validate(schemas.session), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { direction } = req.query;
+    const timezone = parseTimezone(req.query.tz);
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const user = await User.findById(userId).select('settings').lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const settings = flashcardSettings(user);
+    const now = new Date();
+    const { start, end } = dayBounds(now, timezone);
+
+    const doneToday = await ReviewLog.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId), reviewedAt: { $gte: start, $lt: end } } },
+      { $group: { _id: '$previous.state', count: { $sum: 1 } } }
+    ]);
+    const countFor = (state) => doneToday.find(d => d._id === state)?.count || 0;
+    const newDoneToday = countFor('new');
+    const reviewsDoneToday = countFor('review');
+
+    const reviewRemaining = Math.max(0, settings.maxReviewsPerDay - reviewsDoneToday);
+    const newRemaining = Math.max(0, settings.newCardsPerDay - newDoneToday);
+
+    const [studied, fresh, newTotal] = await Promise.all([
+      findSessionCards(userId, direction, { now, end, reviewLimit: reviewRemaining }),
+      newRemaining > 0 ? findNewCards(userId, direction, { limit: newRemaining }) : [],
+      countNewCards(userId, direction)
+    ]);
+
+    res.json({
+      cards: [...studied.learning, ...studied.review, ...fresh],
+      counts: {
+        learning: studied.learning.length,
+        review: Math.min(studied.reviewTotal, reviewRemaining),
+        new: Math.min(newTotal, newRemaining)
+      },
+      limits: {
+        newCardsPerDay: settings.newCardsPerDay,
+        maxReviewsPerDay: settings.maxReviewsPerDay,
+        newDoneToday,
+        reviewsDoneToday
+      },
+      nextLearningDue: studied.nextLearningDue
+    });
+  } catch (err) {
+    logger.error('Error building flashcard session', err);
+    res.status(500).json({ error: 'Error building flashcard session' });
+  }
+});
+
+/**
+ * GET /api/flashcards/due?direction=recognition|production|typed&page=1&limit=20
+ * Returns words that are due for review (nextReview <= now), most overdue first,
+ * followed by words never reviewed in that direction.
+ * With page/limit the response is { cards, pagination } instead of a plain array.
+ */
+router.get('/due', authenticateToken, validate(schemas.dueCards), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { direction } = req.query;
+    const paging = parsePaging(req.query);
+    
+    if (!isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { cards, total } = await findDueCards(userId, direction, {
+      skip: paging ? paging.skip : 0,
+      limit: paging ? paging.limit : undefined
+    });
+
+    if (!paging) return res.json(cards);
+    res.json({ cards, pagination: paginationInfo(paging, total) });
+  } catch (err) {
+    logger.error('Error fetching due flashcards', err);
+    res.status(500).json({ error: 'Server error fetching due flashcards' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const GrammarLesson = require('../models/GrammarLesson');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/grammar');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/grammar
+ */
+router.get('/', async (req, res) => {
+  try {
+    const lessons = await GrammarLesson.find().sort({ title: 1 });
+    res.json(lessons);
+  } catch (err) {
+    logger.error('Error fetching grammar lessons', err);
+    res.status(500).json({ error: 'Error fetching grammar lessons' });
+  }
+});
+
+/**
+ * POST /api/grammar
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createLesson), async (req, res) => {
+  try {
+    const lesson = new GrammarLesson(req.body);
+    await lesson.save();
+    res.status(201).json(lesson);
+  } catch (err) {
+    logger.error('Error creating lesson', err);
+    res.status(400).json({ error: 'Error creating lesson' });
+  }
+});
+
+/**
+ * PUT /api/grammar/:id
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validate(schemas.updateLesson), async (req, res) => {
+  try {
+    const lesson = await GrammarLesson.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+    res.json(lesson);
+  } catch (err) {
+    logger.error('Error updating lesson', err);
+    res.status(400).json({ error: 'Error updating lesson' });
+  }
+});
+
+/**
+ * DELETE /api/grammar/:id
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), validate(schemas.lessonId), async (req, res) => {
+  try {
+    const lesson = await GrammarLesson.findByIdAndDelete(req.params.id);
+    if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+    res.json({ message: 'Lesson deleted' });
+  } catch (err) {
+    logger.error('Error deleting lesson', err);
+    res.status(500).json({ error: 'Error deleting lesson' });
+  }
+});
+
+module.exports = router;
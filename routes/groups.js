@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const Word = require('../models/Word');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/groups');
+const logger = require('../services/logger');
+
+// Groups are not stored on their own: a group exists while some word uses it
+
+/**
+ * GET /api/groups
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groups = await Word.distinct('group');
+    res.json(['Other', ...groups.filter(g => g && g !== 'Other')]);
+  } catch (err) {
+    logger.error('Error fetching groups', err);
+    res.status(500).json({ error: 'Error fetching groups' });
+  }
+});
+
+/**
+ * POST /api/groups
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createGroup), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const exists = await Word.findOne({ group: name });
+    if (exists) return res.status(400).json({ error: 'Group already exists' });
+    res.json({ message: 'Group created', name });
+  } catch (err) {
+    logger.error('Error adding group', err);
+    res.status(500).json({ error: 'Error adding group' });
+  }
+});
+
+/**
+ * PUT /api/groups/:oldName
+ */
+router.put('/:oldName', authenticateToken, requireRole('admin'), validate(schemas.renameGroup), async (req, res) => {
+  try {
+    const { oldName } = req.params;
+    const { name: newName } = req.body;
+    if (oldName === 'Other') return res.status(400).json({ error: 'Invalid group rename' });
+    const exists = await Word.findOne({ group: newName });
+    if (exists) return res.status(400).json({ error: 'Group already exists' });
+    const result = await Word.updateMany({ group: oldName }, { $set: { group: newName } });
+    res.json({ message: 'Group updated', oldName, newName, wordsUpdated: result.modifiedCount });
+  } catch (err) {
+    logger.error('Error updating group', err);
+    res.status(500).json({ error: 'Error updating group' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const ImagePrompt = require('../models/ImagePrompt');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/imagePrompts');
+const { escapeRegex } = require('../services/normalize');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/image-prompts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await ImagePrompt.find({ isActive: true }).select('word imageUrl category').sort({ word: 1 });
+    res.json(prompts);
+  } catch (error) {
+    logger.error('Error fetching image prompts', error);
+    res.status(500).json({ error: 'Error fetching image prompts' });
+  }
+});
+
+/**
+ * GET /api/image-prompts/random/:count
+ */
+router.get('/random/:count', validate(schemas.randomPrompts), async (req, res) => {
+  try {
+    const maxCount = 6;
+    const limit = Math.min(req.params.count, maxCount);
+
+    const total = await ImagePrompt.countDocuments({ isActive: true });
+    if (total === 0) {
+      return res.json([]);
+    }
+
+    if (total <= 100) {
+      const prompts = await ImagePrompt.aggregate([
+        { $match: { isActive: true } },
+        { $sample: { size: limit } },
+        { $project: { word: 1, imageUrl: 1, category: 1, _id: 0 } }
+      ]);
+      res.json(prompts);
+    } else {
+      const skip = Math.max(0, Math.floor(Math.random() * (total - limit)));
+      const prompts = await ImagePrompt.find({ isActive: true })
+        .select('word imageUrl category')
+        .skip(skip)
+        .limit(limit);
+      res.json(prompts);
+    }
+  } catch (error) {
+    logger.error('Error fetching random image prompts', error);
+    res.status(500).json({ error: 'Error fetching random prompts' });
+  }
+});
+
+/**
+ * POST /api/image-prompts
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createPrompt), async (req, res) => {
+  try {
+    const { word, imageUrl, category, difficulty } = req.body;
+
+    const existing = await ImagePrompt.findOne({ 
+      $or: [
+        { word: new RegExp(`^${escapeRegex(word)}$`, 'i') },
+        { imageUrl }
+      ]
+    });
+
+    if (existing) {
+      return res.status(400).json({ 
+        error: 'Word or image already exists',
+        existing: {
+          word: existing.word,
+          imageUrl: existing.imageUrl
+        }
+      });
+    }
+
+    const prompt = new ImagePrompt({ word, imageUrl, category, difficulty });
+    await prompt.save();
+
+    res.status(201).json({
+      message: 'Image prompt added successfully',
+      prompt: {
+        word: prompt.word,
+        imageUrl: prompt.imageUrl,
+        category: prompt.category
+      }
+    });
+  } catch (error) {
+    logger.error('Error adding image prompt', error);
+    res.status(400).json({ error: 'Error adding image prompt' });
+  }
+});
+
+/**
+ * DELETE /api/image-prompts/:word
+ */
+router.delete('/:word', authenticateToken, requireRole('admin'), validate(schemas.deletePrompt), async (req, res) => {
+  try {
+    const { word } = req.params;
+    const result = await ImagePrompt.findOneAndDelete({ word });
+    if (!result) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    res.json({ message: 'Prompt deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting image prompt', error);
+    res.status(500).json({ error: 'Error deleting prompt' });
+  }
+});
+
+module.exports = router;
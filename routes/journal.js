@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const Journal = require('../models/Journal');
+const { authenticateToken } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/journal');
+const logger = require('../services/logger');
+
+/**
+ * POST /api/journal
+ * Save journal entry
+ */
+router.post('/', authenticateToken, validate(schemas.createEntry), async (req, res) => {
+  try {
+    const { date, title, task1, task2, task3 } = req.body;
+    const entry = new Journal({
+      userId: req.user.id,
+      date,
+      title,
+      task1,
+      task2,
+      task3
+    });
+    await entry.save();
+    res.status(201).json(entry);
+  } catch (err) {
+    logger.error('Error saving journal entry', err);
+    res.status(500).json({ error: 'Error saving journal entry' });
+  }
+});
+
+/**
+ * GET /api/journal
+ * Get user's journal
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const entries = await Journal.find({ userId: req.user.id }).sort({ date: -1 });
+    res.json(entries);
+  } catch (err) {
+    logger.error('Error fetching journal', err);
+    res.status(500).json({ error: 'Error fetching journal' });
+  }
+});
+
+/**
+ * PUT /api/journal/:id
+ * Update journal entry
+ */
+router.put('/:id', authenticateToken, validate(schemas.updateEntry), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await Journal.findOneAndUpdate(
+      { _id: id, userId: req.user.id },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+    res.json(entry);
+  } catch (err) {
+    logger.error('Error updating journal entry', err);
+    res.status(500).json({ error: 'Error updating journal entry' });
+  }
+});
+
+/**
+ * DELETE /api/journal/:id
+ * Delete journal entry
+ */
+router.delete('/:id', authenticateToken, validate(schemas.entryId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const entry = await Journal.findOneAndDelete({ _id: id, userId });
+
+    if (!entry) {
+      return res.status(404).json({ 
+        error: 'Entry not found or not authorized' 
+      });
+    }
+
+    res.json({ message: 'Journal entry deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting journal entry', err);
+    res.status(500).json({ error: 'Error deleting journal entry' });
+  }
+});
+
+/**
+ * GET /api/journal/:id
+ * for single entry
+ */
+router.get('/:id', authenticateToken, validate(schemas.entryId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await Journal.findOne({ _id: id, userId: req.user.id });
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
+    res.json(entry);
+  } catch (err) {
+    logger.error('Error fetching journal entry', err);
+    res.status(500).json({ error: 'Error fetching entry' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const Question = require('../models/Question');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/questions');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/questions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const questions = await Question.find().sort({ question: 1 });
+    res.json(questions);
+  } catch (err) {
+    logger.error('Error fetching questions', err);
+    res.status(500).json({ error: 'Error fetching questions' });
+  }
+});
+
+/**
+ * POST /api/questions
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createQuestion), async (req, res) => {
+  try {
+    const question = new Question(req.body);
+    await question.save();
+    res.status(201).json(question);
+  } catch (err) {
+    logger.error('Error saving question', err);
+    res.status(400).json({ error: 'Error saving question' });
+  }
+});
+
+/**
+ * PUT /api/questions/:id
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validate(schemas.updateQuestion), async (req, res) => {
+  try {
+    const question = await Question.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+    res.json(question);
+  } catch (err) {
+    logger.error('Error updating question', err);
+    res.status(400).json({ error: 'Error updating question' });
+  }
+});
+
+/**
+ * DELETE /api/questions/:id
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), validate(schemas.questionId), async (req, res) => {
+  try {
+    const question = await Question.findByIdAndDelete(req.params.id);
+    if (!question) return res.status(404).json({ error: 'Question not found' });
+    res.json({ message: 'Question deleted' });
+  } catch (err) {
+    logger.error('Error deleting question', err);
+    res.status(500).json({ error: 'Error deleting question' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticateToken } = require('./auth');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/roadmap/user
+ * Learning path units for the logged-in user, unlocked by level.
+ */
+router.get('/user', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.debug('Building roadmap', { userId: req.user.id, level: user.streak?.current || 1 });
+
+    // Example roadmap structure
+    const currentLevel = user.streak?.current || 1;
+    const xp = currentLevel * 25;
+    const xpToNext = 100 - (xp % 100);
+
+    const roadmap = {
+      currentLevel,
+      xp,
+      xpToNext,
+      units: [
+        {
+          id: '1',
+          title: 'Greetings & Introductions',
+          description: 'Learn how to introduce yourself and greet others.',
+          wordCount: 20,
+          completed: currentLevel >= 1,
+          locked: false,
+          lessons: [
+            { id: '1', title: 'Hello & Goodbye', type: 'vocabulary', locked: false },
+            { id: '2', title: 'My Name is...', type: 'vocabulary', locked: false },
+            { id: '3', title: 'Present Tense of Ser', type: 'grammar', locked: false },
+            { id: '4', title: 'A Day in Lisbon', type: 'story', storyId: '68a1b4b918eb6aec1615cf90', locked: false },
+            { id: '5', title: 'Quick Quiz', type: 'test', testId: '68ade514eedb532cdce2366b', locked: true }
+          ]
+        },
+        {
+          id: '2',
+          title: 'Daily Life',
+          description: 'Talk about your routine, food, and family.',
+          wordCount: 30,
+          completed: currentLevel >= 3,
+          locked: currentLevel < 3,
+          requiredLevel: 3,
+          lessons: [
+            { id: '6', title: 'Common Verbs', type: 'vocabulary', locked: currentLevel < 3 },
+            { id: '7', title: 'Pronouns & Conjugation', type: 'grammar', locked: currentLevel < 3 },
+            { id: '8', title: 'My Morning Routine', type: 'story', storyId: '68b60e3d87f9502cf0ad0c20', locked: currentLevel < 3 },
+            { id: '9', title: 'Fill-in-the-Gap Challenge', type: 'test', testId: '68ade514eedb532cdce2366c', locked: currentLevel < 3 }
+          ]
+        }
+      ]
+    };
+
+    logger.debug('Roadmap built', { units: roadmap.units.length });
+    res.header('Content-Type', 'application/json; charset=utf-8');
+    res.json(roadmap);
+  } catch (err) {
+    logger.error('Error loading roadmap', err);
+    res.status(500).json({ error: 'Error loading roadmap' });
+  }
+});
+
+module.exports = router;
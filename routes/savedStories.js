@@ -1,58 +1,81 @@
-const express = require('express');
-const router = express.Router();
-const User = require('../models/User');
-const Story = require('../models/Story');
-const { authenticateToken } = require('./auth');
-
-// Get saved stories for logged-in user
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).populate('progress.savedStories');
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    res.json(user.progress.savedStories || []);
-  } catch (error) {
-    console.error('❌ Error fetching saved stories:', error);
-    res.status(500).json({ error: 'Error fetching saved stories' });
-  }
-});
-
-// Save a story
-router.post('/', authenticateToken, async (req, res) => {
-  try {
-    const { storyId } = req.body;
-    if (!storyId) return res.status(400).json({ error: 'storyId is required' });
-
-    const user = await User.findById(req.user.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    if (!user.progress.savedStories.includes(storyId)) {
-      user.progress.savedStories.push(storyId);
-      await user.save();
-    }
-
-    res.json({ success: true, savedStories: user.progress.savedStories });
-  } catch (error) {
-    console.error('❌ Error saving story:', error);
-    res.status(500).json({ error: 'Error saving story' });
-  }
-});
-
-// Unsave a story
-router.delete('/:storyId', authenticateToken, async (req, res) => {
-  try {
-    const { storyId } = req.params;
-    const user = await User.findById(req.user.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    user.progress.savedStories = user.progress.savedStories.filter(id => id.toString() !== storyId);
-    await user.save();
-
-    res.json({ success: true, savedStories: user.progress.savedStories });
-  } catch (error) {
-    console.error('❌ Error unsaving story:', error);
-    res.status(500).json({ error: 'Error unsaving story' });
-  }
-});
-
-module.exports = router;
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const Story = require('../models/Story');
+const { authenticateToken } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/stories');
+const logger = require('../services/logger');
+
+// Helper to validate ObjectId
+const isValidObjectId = (id) => {
+  try {
+    return mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === id;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * GET /api/saved-stories
+ * The logged-in user's saved stories.
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.user.id)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const user = await User.findById(req.user.id).populate('progress.savedStories');
+    if (!user) {
+      return res.json([]);
+    }
+    res.json(user.progress.savedStories || []);
+  } catch (err) {
+    logger.error('Error fetching saved stories', err);
+    res.status(500).json({ error: 'Error fetching saved stories' });
+  }
+});
+
+/**
+ * POST /api/saved-stories
+ */
+router.post('/', authenticateToken, validate(schemas.saveStory), async (req, res) => {
+  try {
+    const { storyId } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const story = await Story.findById(storyId);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+
+    if (!user.progress.savedStories.includes(storyId)) {
+      user.progress.savedStories.push(storyId);
+      await user.save();
+    }
+    res.json({ message: 'Story saved successfully' });
+  } catch (err) {
+    logger.error('Error saving story', err);
+    res.status(500).json({ error: 'Error saving story' });
+  }
+});
+
+/**
+ * DELETE /api/saved-stories/:storyId
+ */
+router.delete('/:storyId', authenticateToken, validate(schemas.unsaveStory), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    user.progress.savedStories = user.progress.savedStories.filter(id => id.toString() !== req.params.storyId);
+    await user.save();
+    res.json({ message: 'Story removed from saved' });
+  } catch (err) {
+    logger.error('Error removing saved story', err);
+    res.status(500).json({ error: 'Error removing saved story' });
+  }
+});
+
+module.exports = router;
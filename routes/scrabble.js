@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const Word = require('../models/Word');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/scrabble');
+const { getDictionaryTrie } = require('../services/scrabbleDictionary');
+const { normalizeBoard, normalizePlacement, toScrabbleLetters } = require('../services/scrabbleBoard');
+const { scoreWord, scoreOnGrid } = require('../services/scrabbleScoring');
+const { chooseAIMove, checkPlacement } = require('../services/scrabbleGame');
+const { toLookupKey } = require('../services/normalize');
+const logger = require('../services/logger');
+
+// Saved games live in routes/scrabbleGames.js (/api/scrabble/games)
+
+/**
+ * POST /api/scrabble/validate
+ * Validate a word for Scrabble
+ * Body: { word, board?, placement?: [{ row, col, letter, blank }] }
+ * With a placement the move must be legal on the board (free, connected squares,
+ * every cross word in the dictionary) and its main word must be `word`; otherwise
+ * 400 { error, invalidWords? }. Without one the word is scored by tile values alone.
+ */
+router.post('/validate', validate(schemas.validateWord), async (req, res) => {
+  try {
+    const { word } = req.body;
+
+    // Accent-insensitive match on the stored lookup key, e.g. "avo" -> avó, avô
+    const variants = await Word.find({ lookupKey: toLookupKey(word) }, 'portuguese english')
+      .sort({ portuguese: 1 });
+    const typed = word.trim().normalize('NFC').toLowerCase();
+    const validWord = variants.find(v => v.portuguese.normalize('NFC').toLowerCase() === typed) || variants[0];
+
+    // Score on the board when a placement is supplied, otherwise by tile values alone
+    let score = 0;
+    let breakdown = null;
+    if (validWord) {
+      if (req.body.placement !== undefined) {
+        const placement = normalizePlacement(req.body.placement);
+        if (!placement) return res.status(400).json({ error: 'Placement must be an array of { row, col, letter, blank }' });
+
+        const grid = normalizeBoard(req.body.board);
+        const check = checkPlacement(grid, placement, await getDictionaryTrie());
+        if (check.error) return res.status(400).json({ error: check.error, invalidWords: check.invalidWords });
+
+        // A single tile may complete either of its two words
+        const spelled = (placement.length === 1 ? check.formed : check.formed.slice(0, 1)).map(w => w.word);
+        if (!spelled.includes(toScrabbleLetters(validWord.portuguese))) {
+          return res.status(400).json({ error: `The placed tiles spell ${spelled[0]}, not ${word}` });
+        }
+        breakdown = scoreOnGrid(grid, placement);
+      } else if (req.body.board !== undefined) {
+        return res.status(400).json({ error: 'A placement is required to score on a board' });
+      } else {
+        const scored = scoreWord(validWord.portuguese);
+        breakdown = { total: scored.score, words: [scored], bingo: 0 };
+      }
+      score = breakdown.total;
+    }
+
+    res.json({ 
+      isValid: !!validWord, 
+      word: validWord ? validWord.portuguese : null,
+      translation: validWord ? validWord.english : null,
+      message: validWord ? `valid as ${variants.map(v => v.portuguese).join('/')}` : 'not in dictionary',
+      variants: variants.map(v => ({ portuguese: v.portuguese, english: v.english })),
+      score,
+      breakdown
+    });
+  } catch (err) {
+    logger.error('Error validating word', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/scrabble/dictionary
+ * Get all valid Portuguese words for Scrabble dictionary
+ */
+router.get('/dictionary', async (req, res) => {
+  try {
+    const words = await Word.find({}, 'portuguese english');
+    const wordList = words.map(word => ({
+      portuguese: word.portuguese,
+      english: word.english
+    }));
+    res.json(wordList);
+  } catch (err) {
+    logger.error('Error fetching scrabble dictionary', err);
+    res.status(500).json({ error: 'Error fetching dictionary' });
+  }
+});
+
+/**
+ * GET /api/scrabble/random-words
+ * Get random Portuguese words for game initialization
+ */
+router.get('/random-words', validate(schemas.randomWords), async (req, res) => {
+  try {
+    const { count } = req.query;
+    const words = await Word.aggregate([{ $sample: { size: count } }]);
+    res.json(words);
+  } catch (err) {
+    logger.error('Error fetching random words', err);
+    res.status(500).json({ error: 'Error fetching random words' });
+  }
+});
+
+/**
+ * POST /api/scrabble/ai-move
+ * Advanced AI move calculation (SCRABLE AI)
+ * Body: { board: 15x15 array of letters/null, tiles: rack letters ('?' = blank) }
+ */
+router.post('/ai-move', validate(schemas.aiMove), async (req, res) => {
+  try {
+    const { board, tiles } = req.body;
+    const grid = normalizeBoard(board);
+    const trie = await getDictionaryTrie();
+    const best = chooseAIMove(grid, tiles, trie);
+
+    if (!best) {
+      return res.json({ word: null, score: 0, move: null, breakdown: null });
+    }
+
+    res.json({
+      word: best.dictionaryWords[0] || best.word.toLowerCase(),
+      score: best.score,
+      move: {
+        word: best.word,
+        row: best.row,
+        col: best.col,
+        direction: best.direction,
+        tiles: best.tiles,
+        crossWords: best.crossWords.map(w => w.word)
+      },
+      breakdown: scoreOnGrid(grid, best.tiles)
+    });
+  } catch (err) {
+    logger.error('Error calculating AI move', err);
+    res.status(500).json({ error: 'Error calculating move' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+
+const ScrabbleGame = require('../models/ScrabbleGame');
+const User = require('../models/User');
+const { authenticateToken } = require('./auth');
+const { getDictionaryTrie } = require('../services/scrabbleDictionary');
+const {
+  newGameState,
+  applyPlay,
+  applyExchange,
+  applyPass,
+  playAITurns
+} = require('../services/scrabbleGame');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/scrabble');
+const logger = require('../services/logger');
+
+// Game state as seen by the requesting player: the bag and other racks stay hidden
+function serializeGame(game, userId) {
+  return {
+    id: game._id,
+    status: game.status,
+    currentPlayer: game.currentPlayer,
+    yourTurn: game.status === 'active' && String(game.players[game.currentPlayer].user) === String(userId),
+    board: game.board,
+    bagCount: game.bag.length,
+    players: game.players.map(p => ({
+      name: p.name,
+      isAI: p.isAI,
+      score: p.score,
+      rackCount: p.rack.length,
+      rack: String(p.user) === String(userId) ? p.rack : undefined
+    })),
+    moves: game.moves,
+    winner: game.winner,
+    createdAt: game.createdAt,
+    updatedAt: game.updatedAt
+  };
+}
+
+// Load the user's game and make sure it is their turn (the id is already validated)
+async function loadGameForTurn(req, res) {
+  const { id } = req.params;
+  const game = await ScrabbleGame.findOne({ _id: id, owner: req.user.id });
+  if (!game) {
+    res.status(404).json({ error: 'Game not found' });
+    return null;
+  }
+  if (game.status !== 'active') {
+    res.status(400).json({ error: 'Game is already finished' });
+    return null;
+  }
+  if (String(game.players[game.currentPlayer].user) !== String(req.user.id)) {
+    res.status(409).json({ error: 'It is not your turn' });
+    return null;
+  }
+  return game;
+}
+
+/**
+ * POST /api/scrabble/games
+ * Body: { vsAI?: boolean } (defaults to a game against the computer)
+ */
+router.post('/', authenticateToken, validate(schemas.createGame), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('name');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const vsAI = req.body.vsAI !== false;
+    const game = new ScrabbleGame(newGameState({ owner: user._id, playerName: user.name, vsAI }));
+    await game.save();
+    res.status(201).json(serializeGame(game, req.user.id));
+  } catch (err) {
+    logger.error('Error creating scrabble game', err);
+    res.status(500).json({ error: 'Error creating game' });
+  }
+});
+
+/**
+ * GET /api/scrabble/games
+ * Lists the user's games, most recently played first.
+ */
+router.get('/', authenticateToken, validate(schemas.listGames), async (req, res) => {
+  try {
+    const filter = { owner: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const games = await ScrabbleGame.find(filter).sort({ updatedAt: -1 }).limit(50);
+    res.json(games.map(game => serializeGame(game, req.user.id)));
+  } catch (err) {
+    logger.error('Error fetching scrabble games', err);
+    res.status(500).json({ error: 'Error fetching games' });
+  }
+});
+
+/**
+ * GET /api/scrabble/games/:id
+ * Resume a saved game.
+ */
+router.get('/:id', authenticateToken, validate(schemas.gameId), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const game = await ScrabbleGame.findOne({ _id: id, owner: req.user.id });
+    if (!game) return res.status(404).json({ error: 'Game not found' });
+    res.json(serializeGame(game, req.user.id));
+  } catch (err) {
+    logger.error('Error fetching scrabble game', err);
+    res.status(500).json({ error: 'Error fetching game' });
+  }
+});
+
+/**
+ * POST /api/scrabble/games/:id/move
+ * Body: { tiles: [{ row, col, letter, blank }] }
+ * Validates the placement against the Word dictionary, scores it, then plays the computer's turn.
+ */
+router.post('/:id/move', authenticateToken, validate(schemas.playMove), async (req, res) => {
+  try {
+    const game = await loadGameForTurn(req, res);
+    if (!game) return;
+
+    const trie = await getDictionaryTrie();
+    const result = applyPlay(game, req.body.tiles, trie);
+    if (result.error) {
+      return res.status(400).json({ error: result.error, invalidWords: result.invalidWords });
+    }
+
+    playAITurns(game, trie);
+    await game.save();
+    res.json({ breakdown: result.breakdown, game: serializeGame(game, req.user.id) });
+  } catch (err) {
+    logger.error('Error playing scrabble move', err);
+    res.status(500).json({ error: 'Error playing move' });
+  }
+});
+
+/**
+ * POST /api/scrabble/games/:id/exchange
+ * Body: { tiles: ['A', '?'] }
+ */
+router.post('/:id/exchange', authenticateToken, validate(schemas.exchangeTiles), async (req, res) => {
+  try {
+    const game = await loadGameForTurn(req, res);
+    if (!game) return;
+
+    const result = applyExchange(game, req.body.tiles);
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    playAITurns(game, await getDictionaryTrie());
+    await game.save();
+    res.json({ game: serializeGame(game, req.user.id) });
+  } catch (err) {
+    logger.error('Error exchanging scrabble tiles', err);
+    res.status(500).json({ error: 'Error exchanging tiles' });
+  }
+});
+
+/**
+ * POST /api/scrabble/games/:id/pass
+ */
+router.post('/:id/pass', authenticateToken, validate(schemas.gameId), async (req, res) => {
+  try {
+    const game = await loadGameForTurn(req, res);
+    if (!game) return;
+
+    applyPass(game);
+    playAITurns(game, await getDictionaryTrie());
+    await game.save();
+    res.json({ game: serializeGame(game, req.user.id) });
+  } catch (err) {
+    logger.error('Error passing scrabble turn', err);
+    res.status(500).json({ error: 'Error passing turn' });
+  }
+});
+
+module.exports = router;
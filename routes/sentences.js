@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const Sentence = require('../models/Sentence');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/sentences
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sentences = await Sentence.find({});
+    res.json(sentences);
+  } catch (error) {
+    logger.error('Error fetching sentences', error);
+    res.status(500).json({ error: 'Error fetching sentences' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const Story = require('../models/Story');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/stories');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/stories
+ */
+router.get('/', async (req, res) => {
+  try {
+    const stories = await Story.find().sort({ title: 1 });
+    res.json(stories);
+  } catch (err) {
+    logger.error('Error fetching stories', err);
+    res.status(500).json({ error: 'Error fetching stories' });
+  }
+});
+
+/**
+ * GET /api/stories/:id
+ */
+router.get('/:id', validate(schemas.storyId), async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+    res.json(story);
+  } catch (err) {
+    logger.error('Error fetching story', err);
+    res.status(500).json({ error: 'Error fetching story' });
+  }
+});
+
+/**
+ * POST /api/stories
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createStory), async (req, res) => {
+  try {
+    const story = new Story(req.body);
+    await story.save();
+    res.status(201).json(story);
+  } catch (err) {
+    logger.error('Error creating story', err);
+    res.status(400).json({ error: 'Error creating story' });
+  }
+});
+
+/**
+ * PUT /api/stories/:id
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validate(schemas.updateStory), async (req, res) => {
+  try {
+    const story = await Story.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+    res.json(story);
+  } catch (err) {
+    logger.error('Error updating story', err);
+    res.status(400).json({ error: 'Error updating story' });
+  }
+});
+
+/**
+ * DELETE /api/stories/:id
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), validate(schemas.storyId), async (req, res) => {
+  try {
+    const story = await Story.findByIdAndDelete(req.params.id);
+    if (!story) return res.status(404).json({ error: 'Story not found' });
+    res.json({ message: 'Story deleted' });
+  } catch (err) {
+    logger.error('Error deleting story', err);
+    res.status(500).json({ error: 'Error deleting story' });
+  }
+});
+
+module.exports = router;
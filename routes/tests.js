@@ -1,17 +1,107 @@
-app.get('/api/tests/type/:type', async (req, res) => {
-  try {
-    const type = decodeURIComponent(req.params.type);
-    console.log('🔍 Searching for tests with type:', type);
-    
-    const tests = await Test.find({ type });
-    
-    console.log('✅ Found', tests.length, 'tests');
-    res.json(tests);
-  } catch (error) {
-    console.error('❌ Error fetching tests by type:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch tests by type',
-      details: error.message 
-    });
-  }
-});
\ No newline at end of file
+const express = require('express');
+const router = express.Router();
+const Test = require('../models/Test');
+const { authenticateToken, requireRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/tests');
+const logger = require('../services/logger');
+
+/**
+ * GET /api/tests
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tests = await Test.find().sort({ title: 1 });
+    res.json(tests);
+  } catch (err) {
+    logger.error('Error fetching tests', err);
+    res.status(500).json({ error: 'Error fetching tests' });
+  }
+});
+
+/**
+ * POST /api/tests
+ */
+router.post('/', authenticateToken, requireRole('admin'), validate(schemas.createTest), async (req, res) => {
+  try {
+    const test = new Test(req.body);
+    await test.save();
+    res.status(201).json(test);
+  } catch (err) {
+    logger.error('Error creating test', err);
+    res.status(400).json({ error: 'Error creating test' });
+  }
+});
+
+/**
+ * PUT /api/tests/:id
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validate(schemas.updateTest), async (req, res) => {
+  try {
+    const test = await Test.findByIdAndUpdate(req.params.id, { $set: req.body }, { new: true, runValidators: true });
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    res.json(test);
+  } catch (err) {
+    logger.error('Error updating test', err);
+    res.status(400).json({ error: 'Error updating test' });
+  }
+});
+
+/**
+ * DELETE /api/tests/:id
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), validate(schemas.testId), async (req, res) => {
+  try {
+    const test = await Test.findByIdAndDelete(req.params.id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    res.json({ message: 'Test deleted' });
+  } catch (err) {
+    logger.error('Error deleting test', err);
+    res.status(500).json({ error: 'Error deleting test' });
+  }
+});
+
+/**
+ * GET /api/tests/story/:storyId
+ */
+router.get('/story/:storyId', validate(schemas.testsForStory), async (req, res) => {
+  try {
+    const { storyId } = req.params;
+    const tests = await Test.find({ storyId });
+    res.json(tests);
+  } catch (err) {
+    logger.error('Error fetching tests for story', err);
+    res.status(500).json({ error: 'Error fetching tests for story' });
+  }
+});
+
+/**
+ * GET /api/tests/type/:type
+ * Tests of one type, e.g. /api/tests/type/Fill%20in%20the%20Blank
+ */
+router.get('/type/:type', validate(schemas.testsOfType), async (req, res) => {
+  try {
+    const tests = await Test.find({ type: req.params.type });
+    res.json(tests);
+  } catch (err) {
+    logger.error('Error fetching tests by type', err);
+    res.status(500).json({ error: 'Failed to fetch tests by type' });
+  }
+});
+
+/**
+ * GET /api/tests/:id
+ */
+router.get('/:id', validate(schemas.testId), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const test = await Test.findById(id);
+    if (!test) return res.status(404).json({ error: 'Test not found' });
+    res.json(test);
+  } catch (err) {
+    logger.error('Error fetching test', err);
+    res.status(500).json({ error: 'Error fetching test' });
+  }
+});
+
+module.exports = router;
@@ -1,259 +1,263 @@
-const express = require('express');
-const router = express.Router();
-const Word = require('../models/Word');
-const User = require('../models/User');
-const { searchImages } = require('../services/imageSearch');
-const { authenticateToken } = require('../middleware/auth'); // Adjust path as needed
-
-// Add authentication to all routes
-router.use(authenticateToken);
-
-// GET ALL WORDS with advanced filtering, sorting, pagination, and user progress
-router.get('/', async (req, res) => {
-  try {
-    const {
-      search,
-      group,
-      sort = 'portuguese',
-      order = 'asc',
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    // Build filter object
-    let filter = {};
-
-    // Full-text search across Portuguese and English (case-insensitive)
-    if (search && search.trim() !== '') {
-      filter.$or = [
-        { portuguese: { $regex: search.trim(), $options: 'i' } },
-        { english: { $regex: search.trim(), $options: 'i' } }
-      ];
-    }
-
-    // Filter by group (supports 'Ungrouped' as null)
-    if (group && group !== 'All') {
-      if (group === 'Ungrouped') {
-        filter.group = { $in: [null, '', undefined] };
-      } else {
-        filter.group = group;
-      }
-    }
-
-    // Define allowed sort fields to prevent injection
-    const allowedSortFields = ['portuguese', 'english', 'group', 'difficulty', 'createdAt'];
-    const sortBy = allowedSortFields.includes(sort) ? sort : 'portuguese';
-
-    // Sort order
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sortOptions = { [sortBy]: sortOrder };
-
-    // Pagination
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 per page
-    const skip = (pageNum - 1) * limitNum;
-
-    // Fetch filtered, sorted, paginated words
-    const words = await Word
-      .find(filter)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum);
-
-    // Get user progress
-    const user = await User.findById(req.user.id).select('progress.words.map');
-    
-    // Merge user progress with each word
-    const wordsWithProgress = words.map(word => {
-      const progress = user?.progress?.words?.map?.get(word._id.toString()) || {};
-      return {
-        ...word.toObject(),
-        ease: progress.ease || 2.5,
-        interval: progress.interval || 0,
-        reviewCount: progress.reviewCount || 0,
-        lastReviewed: progress.lastReviewed || null,
-        nextReview: progress.nextReview || null
-      };
-    });
-
-    // Get total count for pagination
-    const total = await Word.countDocuments(filter);
-
-    // Respond with structured data
-    res.json({
-      words: wordsWithProgress,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages: Math.ceil(total / limitNum),
-        hasMore: pageNum < Math.ceil(total / limitNum)
-      },
-      filters: {
-        search: search || null,
-        group: group || null
-      }
-    });
-  } catch (err) {
-    console.error('Error fetching words:', err.message);
-    res.status(500).json({ error: 'Server error while fetching words' });
-  }
-});
-
-// ADD A NEW WORD (with image search)
-router.post('/', async (req, res) => {
-  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group } = req.body;
-
-  // Validate required fields
-  if (!portuguese || !english) {
-    return res.status(400).json({ msg: 'Portuguese and English translations are required' });
-  }
-
-  try {
-    // Check if word already exists (case-insensitive)
-    const normalizedPortuguese = portuguese.trim();
-    const existingWord = await Word.findOne({
-      portuguese: { $regex: new RegExp(`^${normalizedPortuguese}$`, 'i') }
-    });
-
-    if (existingWord) {
-      return res.status(400).json({ msg: 'Word already exists' });
-    }
-
-    // Search for a relevant image
-    const imageUrl = await searchImages(normalizedPortuguese);
-
-    // Create new word
-    const word = new Word({
-      portuguese: normalizedPortuguese,
-      english: english.trim(),
-      partOfSpeech,
-      gender,
-      examples: examples?.length ? examples : [],
-      difficulty: difficulty || 'beginner',
-      group: group || null,
-      imageUrl
-    });
-
-    await word.save();
-    res.status(201).json(word);
-  } catch (err) {
-    console.error('Error creating word:', err.message);
-    res.status(500).json({ error: 'Server error while saving word' });
-  }
-});
-
-// GET SINGLE WORD BY ID
-router.get('/:id', async (req, res) => {
-  try {
-    const word = await Word.findById(req.params.id);
-    if (!word) {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    
-    // Get user progress for this word
-    const user = await User.findById(req.user.id).select('progress.words.map');
-    const progress = user?.progress?.words?.map?.get(req.params.id) || {};
-    
-    // Merge word with user progress
-    const wordWithProgress = {
-      ...word.toObject(),
-      ease: progress.ease || 2.5,
-      interval: progress.interval || 0,
-      reviewCount: progress.reviewCount || 0,
-      lastReviewed: progress.lastReviewed || null,
-      nextReview: progress.nextReview || null
-    };
-    
-    res.json(wordWithProgress);
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// UPDATE A WORD
-router.put('/:id', async (req, res) => {
-  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group } = req.body;
-
-  try {
-    let word = await Word.findById(req.params.id);
-    if (!word) {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-
-    // Check for duplicates on update (except self)
-    if (portuguese) {
-      const normalizedPortuguese = portuguese.trim();
-      const duplicate = await Word.findOne({
-        portuguese: { $regex: new RegExp(`^${normalizedPortuguese}$`, 'i') },
-        _id: { $ne: word._id }
-      });
-      if (duplicate) {
-        return res.status(400).json({ msg: 'Word already exists' });
-      }
-    }
-
-    // Update word fields
-    if (portuguese) word.portuguese = portuguese.trim();
-    if (english) word.english = english.trim();
-    if (partOfSpeech) word.partOfSpeech = partOfSpeech;
-    if (gender) word.gender = gender;
-    if (examples) word.examples = examples;
-    if (difficulty) word.difficulty = difficulty;
-    if (group) word.group = group;
-
-    await word.save();
-    
-    // Get user progress for this word
-    const user = await User.findById(req.user.id).select('progress.words.map');
-    const progress = user?.progress?.words?.map?.get(req.params.id) || {};
-    
-    // Merge word with user progress
-    const wordWithProgress = {
-      ...word.toObject(),
-      ease: progress.ease || 2.5,
-      interval: progress.interval || 0,
-      reviewCount: progress.reviewCount || 0,
-      lastReviewed: progress.lastReviewed || null,
-      nextReview: progress.nextReview || null
-    };
-    
-    res.json(wordWithProgress);
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-// DELETE A WORD
-router.delete('/:id', async (req, res) => {
-  try {
-    const word = await Word.findByIdAndDelete(req.params.id);
-    if (!word) {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    
-    // Remove this word from all users' progress
-    await User.updateMany(
-      { 'progress.words.map': { $exists: true } },
-      { $unset: { [`progress.words.map.${req.params.id}`]: 1 } }
-    );
-    
-    res.json({ msg: 'Word removed' });
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    res.status(500).send('Server error');
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const router = express.Router();
+const Word = require('../models/Word');
+const User = require('../models/User');
+const { searchImages } = require('../services/imageSearch');
+const { invalidateDictionaryCache } = require('../services/scrabbleDictionary');
+const { SPELLING_COLLATION, escapeRegex } = require('../services/normalize');
+const {
+  PROGRESS_FIELDS,
+  setProgress,
+  attachCardStates,
+  deleteCardStatesForWord
+} = require('../services/cardStates');
+const { authenticateToken, requireRole, hasRole } = require('./auth');
+const { validate } = require('../middleware/validate');
+const { singleUpload } = require('../middleware/upload');
+const schemas = require('../schemas/words');
+const wordImport = require('../services/wordImport');
+const logger = require('../services/logger');
+
+const CONTENT_FIELDS = ['portuguese', 'english', 'group', 'examples', 'imageUrl', 'synonyms'];
+// Anki decks can carry a large collection, so allow more than a spreadsheet needs
+const uploadWordList = singleUpload('file', { extensions: wordImport.EXTENSIONS, maxBytes: 25 * 1024 * 1024 });
+
+// Another word with the same spelling, ignoring case (but not accents: "avó"
+// and "avô" are different words)
+function findDuplicate(portuguese, exceptId) {
+  const filter = { portuguese: portuguese.trim() };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return Word.findOne(filter).collation(SPELLING_COLLATION);
+}
+
+// Add authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * GET /api/words?search=&group=&sort=portuguese&order=asc&page=1&limit=20
+ * Words merged with the logged-in user's (recognition) progress.
+ * With page/limit the response is { words, pagination, filters } instead of a plain array.
+ */
+router.get('/', validate(schemas.listWords), async (req, res) => {
+  try {
+    const { search, group, sort, order, page, limit } = req.query;
+
+    // Build filter object
+    let filter = {};
+
+    // Search across Portuguese and English (case-insensitive)
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { portuguese: { $regex: pattern, $options: 'i' } },
+        { english: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Filter by group (supports 'Ungrouped' as null)
+    if (group && group !== 'All') {
+      if (group === 'Ungrouped') {
+        filter.group = { $in: [null, ''] };
+      } else {
+        filter.group = group;
+      }
+    }
+
+    // Sort field and order are limited to known values by the schema
+    const sortOrder = order === 'desc' ? -1 : 1;
+    const query = Word.find(filter).sort({ [sort]: sortOrder });
+
+    // Pagination is optional so older clients still get the full list
+    const paginate = page !== undefined || limit !== undefined;
+    const pageNum = page || 1;
+    const limitNum = limit || 20; // Max 100 per page
+    if (paginate) query.skip((pageNum - 1) * limitNum).limit(limitNum);
+
+    const wordsWithProgress = await attachCardStates(req.user.id, await query);
+    if (!paginate) return res.json(wordsWithProgress);
+
+    // Get total count for pagination
+    const total = await Word.countDocuments(filter);
+
+    // Respond with structured data
+    res.json({
+      words: wordsWithProgress,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasMore: pageNum < Math.ceil(total / limitNum)
+      },
+      filters: {
+        search: search || null,
+        group: group || null
+      }
+    });
+  } catch (err) {
+    logger.error('Error fetching words', err);
+    res.status(500).json({ error: 'Error fetching words' });
+  }
+});
+
+/**
+ * POST /api/words
+ * Body: { portuguese, english, group?, examples?, imageUrl?, synonyms? }
+ * Rejects a word that already exists (ignoring case).
+ */
+router.post('/', requireRole('admin'), validate(schemas.createWord), async (req, res) => {
+  try {
+    const { portuguese, english, group, examples, imageUrl, synonyms } = req.body;
+    if (await findDuplicate(portuguese)) {
+      return res.status(400).json({ error: 'Word already exists' });
+    }
+
+    const word = new Word({
+      portuguese,
+      english,
+      group,
+      examples,
+      synonyms,
+      imageUrl: imageUrl || await searchImages(portuguese)
+    });
+    await word.save();
+    invalidateDictionaryCache();
+    res.status(201).json(word);
+  } catch (err) {
+    logger.error('Error saving word', err);
+    res.status(400).json({ error: 'Error saving word' });
+  }
+});
+
+/**
+ * POST /api/words/import?commit=true
+ * Multipart upload, field "file": a .csv or .xlsx word list with portuguese and english columns
+ *   and optional group, examples and synonyms (several examples or synonyms in one cell split by "|"),
+ *   or an Anki deck (.apkg, or a .txt "Notes in Plain Text" export). Anki note fields are mapped through
+ *   the optional fields template[portuguese], template[english], template[group], template[examples] and
+ *   template[synonyms], e.g. "{{Front}}", "{{2}}" (by position), "{{Deck}}" or "{{Tags}}"; by default
+ *   the first field is the Portuguese and the second the English.
+ * Without commit=true this is a dry run that saves nothing and reports each row as new,
+ * duplicate (same spelling ignoring case) or invalid. With it, the new rows are inserted in batches
+ * and reported as created or failed.
+ * Response: { dryRun, summary, rows, resultFile } where resultFile downloads the per-row CSV.
+ */
+router.post('/import', requireRole('admin'), uploadWordList, validate(schemas.importWords), async (req, res) => {
+  try {
+    const { commit } = req.query;
+    const { records, error } = await wordImport.readRows(req.file, { template: req.body.template });
+    if (error) return res.status(400).json({ error });
+
+    const rows = await wordImport.analyzeRows(records);
+    if (commit) {
+      await wordImport.commitRows(rows);
+      invalidateDictionaryCache();
+    }
+
+    const resultFile = await wordImport.writeResultFile(rows, { committed: commit });
+    res.json({
+      dryRun: !commit,
+      summary: wordImport.summarize(rows),
+      rows: rows.map(wordImport.rowResult),
+      resultFile: `/api/words/import/results/${resultFile}`
+    });
+  } catch (err) {
+    logger.error('Error importing words', err);
+    res.status(500).json({ error: 'Error importing words' });
+  }
+});
+
+/**
+ * GET /api/words/import/results/:file
+ * Downloads the per-row result CSV of an import.
+ */
+router.get('/import/results/:file', requireRole('admin'), validate(schemas.importResult), (req, res) => {
+  const filePath = wordImport.resultFilePath(req.params.file);
+  if (!filePath) return res.status(404).json({ error: 'Result file not found' });
+  res.download(filePath);
+});
+
+/**
+ * GET /api/words/:id
+ * One word merged with the user's progress.
+ */
+router.get('/:id', validate(schemas.wordId), async (req, res) => {
+  try {
+    const word = await Word.findById(req.params.id);
+    if (!word) return res.status(404).json({ error: 'Word not found' });
+
+    const [wordWithProgress] = await attachCardStates(req.user.id, [word]);
+    res.json(wordWithProgress);
+  } catch (err) {
+    logger.error('Error fetching word', err);
+    res.status(500).json({ error: 'Error fetching word' });
+  }
+});
+
+/**
+ * PUT /api/words/:id
+ * Body: any of { portuguese, english, group, examples, imageUrl, synonyms } to edit the word,
+ *   and/or { ease, interval, reviewCount, lastReviewed, nextReview } to set the user's progress.
+ * Only the progress fields sent are changed (see cardStates.setProgress).
+ * A body without word fields is treated as a progress update, as before.
+ * Editing the word itself is for admins only.
+ */
+router.put('/:id', validate(schemas.updateWord), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const word = await Word.findById(id);
+    if (!word) return res.status(404).json({ error: 'Word not found' });
+
+    const edits = CONTENT_FIELDS.filter(field => req.body[field] !== undefined);
+    if (edits.length && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ error: 'You do not have permission to do this.' });
+    }
+    if (edits.length) {
+      if (req.body.portuguese !== undefined && await findDuplicate(req.body.portuguese, word._id)) {
+        return res.status(400).json({ error: 'Word already exists' });
+      }
+      for (const field of edits) {
+        word[field] = req.body[field];
+      }
+      await word.save();
+      invalidateDictionaryCache();
+    }
+
+    const progressUpdate = PROGRESS_FIELDS.some(field => req.body[field] !== undefined);
+    if (progressUpdate || !edits.length) {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      if (progressUpdate) await setProgress(user._id, word._id, req.body);
+
+      user.recordActivity();
+      await user.save();
+    }
+
+    const [wordWithProgress] = await attachCardStates(req.user.id, [word]);
+    res.json(wordWithProgress);
+  } catch (err) {
+    logger.error('Error updating word', err);
+    res.status(400).json({ error: 'Error updating word' });
+  }
+});
+
+/**
+ * DELETE /api/words/:id
+ * Deletes the word and every user's progress on it.
+ */
+router.delete('/:id', requireRole('admin'), validate(schemas.wordId), async (req, res) => {
+  try {
+    const word = await Word.findByIdAndDelete(req.params.id);
+    if (!word) return res.status(404).json({ error: 'Word not found' });
+
+    await deleteCardStatesForWord(word._id);
+    invalidateDictionaryCache();
+    res.json({ message: 'Word deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting word', err);
+    res.status(500).json({ error: 'Error deleting word' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// schemas/admin.js
+const { optional, idParam, string, integer } = require('../middleware/validate');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const credentials = {
+  username: string({ required: true, minLength: 1, maxLength: 100 }),
+  password: string({ required: true, trim: false, minLength: MIN_PASSWORD_LENGTH, maxLength: 200 }),
+  name: string({ maxLength: 100 })
+};
+
+module.exports = {
+  setup: { body: { ...credentials, setupToken: string({ trim: false, maxLength: 200 }) } },
+  login: {
+    body: {
+      username: string({ required: true, maxLength: 100 }),
+      password: string({ required: true, trim: false, maxLength: 200 })
+    }
+  },
+  adminId: { params: idParam() },
+  createAdmin: { body: credentials },
+  updateAdmin: { params: idParam(), body: optional(credentials) },
+  securityEvents: {
+    query: {
+      type: string({ maxLength: 50 }),
+      account: string({ lowercase: true, maxLength: 254 }),
+      limit: integer({ min: 1, max: 500, default: 100 })
+    }
+  }
+};
@@ -0,0 +1,48 @@
+// schemas/auth.js
+const { string, number, objectId, date, array, object } = require('../middleware/validate');
+
+// Passwords are taken exactly as typed (no trimming)
+const password = string({ required: true, trim: false, maxLength: 200 });
+const newPassword = string({ required: true, trim: false, minLength: 6, maxLength: 200 });
+const email = string({
+  required: true,
+  lowercase: true,
+  maxLength: 254,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'must be a valid email address'
+});
+const token = string({ required: true, maxLength: 200 });
+
+module.exports = {
+  register: {
+    body: {
+      name: string({ required: true, maxLength: 100 }),
+      email,
+      password: newPassword
+    }
+  },
+  login: { body: { email, password } },
+  refreshToken: { body: { refreshToken: token } },
+  changePassword: { body: { currentPassword: password, newPassword } },
+  requestPasswordReset: { body: { email } },
+  confirmPasswordReset: { body: { token, newPassword } },
+  confirmEmail: { body: { token } },
+  exportData: { query: { format: string({ enum: ['json', 'zip'], default: 'json' }) } },
+  deleteAccount: { body: { password } },
+  updateProgress: {
+    body: {
+      progress: object({
+        learningPath: object({
+          currentStage: string({ maxLength: 100 }),
+          completedStages: array(string({ maxLength: 100 }), { maxLength: 500 })
+        }),
+        savedStories: array(objectId(), { maxLength: 1000 }),
+        tests: array(object({
+          testId: objectId(),
+          score: number({ required: true, min: 0 }),
+          date: date()
+        }), { maxLength: 5000 })
+      }, { required: true })
+    }
+  }
+};
@@ -0,0 +1,40 @@
+// schemas/conjugations.js
+const { optional, idParam, string, integer, objectId, array, object } = require('../middleware/validate');
+const { TENSES, PERSONS } = require('../services/conjugator');
+
+const form = string({ maxLength: 100 });
+const tense = object(Object.fromEntries(PERSONS.map(person => [person, form])));
+
+const conjugationFields = {
+  verb: string({ required: true, maxLength: 100 }),
+  english: string({ required: true, maxLength: 200 }),
+  type: string({ enum: ['regular', 'irregular'] }),
+  group: string({ maxLength: 100 }),
+  conjugations: object(Object.fromEntries(TENSES.map(name => [name, tense]))),
+  example: object({
+    portuguese: string({ maxLength: 1000 }),
+    english: string({ maxLength: 1000 })
+  }),
+  notes: string({ maxLength: 5000 })
+};
+
+module.exports = {
+  conjugationId: { params: idParam() },
+  randomConjugations: { params: { count: integer({ required: true, min: 1, max: 50 }) } },
+  createConjugation: { body: conjugationFields },
+  updateConjugation: { params: idParam(), body: optional(conjugationFields) },
+  drillPrompts: {
+    query: {
+      count: integer({ min: 1, max: 50, default: 10 }),
+      tense: array(string({ enum: TENSES }), { maxLength: TENSES.length })
+    }
+  },
+  drillAnswer: {
+    body: {
+      conjugationId: objectId({ required: true }),
+      tense: string({ required: true, enum: TENSES }),
+      person: string({ required: true, enum: PERSONS }),
+      answer: string({ required: true, trim: false, maxLength: 100 })
+    }
+  }
+};
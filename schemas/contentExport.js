@@ -0,0 +1,12 @@
+// schemas/contentExport.js
+const { string } = require('../middleware/validate');
+const { COLLECTION_NAMES } = require('../services/contentExport');
+
+module.exports = {
+  // Everything at once only makes sense as a workbook
+  exportAll: { query: { format: string({ enum: ['xlsx'], default: 'xlsx' }) } },
+  exportCollection: {
+    params: { collection: string({ required: true, enum: COLLECTION_NAMES }) },
+    query: { format: string({ enum: ['csv', 'xlsx'], default: 'csv' }) }
+  }
+};
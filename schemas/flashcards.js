@@ -0,0 +1,60 @@
+// schemas/flashcards.js
+const { string, number, integer, objectId, array } = require('../middleware/validate');
+const { ALGORITHMS } = require('../services/scheduler');
+const { DIRECTIONS, DEFAULT_DIRECTION } = require('../services/cardDirections');
+const { parseTimezone } = require('../services/dates');
+
+const direction = string({ enum: Object.keys(DIRECTIONS), default: DEFAULT_DIRECTION });
+const timezone = string({ maxLength: 100, check: tz => (parseTimezone(tz) ? undefined : 'is not a valid time zone') });
+const day = string({ pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be in YYYY-MM-DD format' });
+const paging = {
+  page: integer({ min: 1 }),
+  limit: integer({ min: 1, max: 100 })
+};
+
+// Steps are minutes, shorter than a day
+const step = number({ check: m => (m > 0 && m < 24 * 60 ? undefined : 'must be between 0 and 1440 minutes') });
+const dailyLimit = integer({ min: 0, max: 9999 });
+
+module.exports = {
+  listCards: { query: { direction, ...paging } },
+  dueCards: { query: { direction, ...paging } },
+  session: { query: { direction, tz: timezone } },
+  checkAnswer: {
+    body: {
+      wordId: objectId({ required: true }),
+      answer: string({ required: true, trim: false, maxLength: 200 })
+    }
+  },
+  review: {
+    body: {
+      wordId: objectId({ required: true }),
+      direction,
+      quality: integer({ min: 0, max: 5, coerce: true }),
+      difficulty: string({ enum: ['easy', 'medium', 'hard'] }),
+      answer: string({ trim: false, maxLength: 200 }),
+      responseTimeMs: number({ min: 0, coerce: true })
+    }
+  },
+  wordReviews: {
+    params: { wordId: objectId({ required: true }) },
+    query: { direction: string({ enum: Object.keys(DIRECTIONS) }) }
+  },
+  dayReviews: { params: { date: { ...day, required: true } }, query: { tz: timezone } },
+  dailyStats: { query: { from: day, to: day, tz: timezone } },
+  ankiExport: {
+    query: {
+      group: array(string({ maxLength: 100 }), { maxLength: 50 }),
+      direction: array(string({ enum: Object.keys(DIRECTIONS) }), { maxLength: 3 })
+    }
+  },
+  updateSettings: {
+    body: {
+      algorithm: string({ enum: ALGORITHMS }),
+      newCardsPerDay: dailyLimit,
+      maxReviewsPerDay: dailyLimit,
+      learningSteps: array(step, { minLength: 1, maxLength: 10 }),
+      relearningSteps: array(step, { maxLength: 10 })
+    }
+  }
+};
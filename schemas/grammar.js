@@ -0,0 +1,38 @@
+// schemas/grammar.js
+const { optional, idParam, string, integer, objectId, array, object } = require('../middleware/validate');
+
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const CATEGORIES = ['verbs', 'nouns', 'adjectives', 'pronouns', 'sentence-structure', 'tenses', 'prepositions', 'conjunctions', 'other'];
+const EXERCISE_TYPES = ['multiple-choice', 'fill-blank', 'sentence-order', 'translation'];
+
+const example = object({
+  portuguese: string({ maxLength: 1000 }),
+  english: string({ maxLength: 1000 }),
+  explanation: string({ maxLength: 2000 })
+});
+
+const exercise = object({
+  type: string({ enum: EXERCISE_TYPES }),
+  question: string({ maxLength: 2000 }),
+  options: array(string({ maxLength: 500 }), { maxLength: 10 }),
+  correctAnswer: string({ maxLength: 1000 }),
+  explanation: string({ maxLength: 2000 })
+});
+
+const lessonFields = {
+  title: string({ required: true, maxLength: 200 }),
+  description: string({ required: true, maxLength: 2000 }),
+  content: string({ required: true, maxLength: 100000 }),
+  difficulty: string({ enum: DIFFICULTIES }),
+  category: string({ required: true, enum: CATEGORIES }),
+  order: integer({ required: true, min: 0 }),
+  examples: array(example, { maxLength: 100 }),
+  exercises: array(exercise, { maxLength: 100 }),
+  relatedWords: array(objectId(), { maxLength: 200 })
+};
+
+module.exports = {
+  lessonId: { params: idParam() },
+  createLesson: { body: lessonFields },
+  updateLesson: { params: idParam(), body: optional(lessonFields) }
+};
@@ -0,0 +1,9 @@
+// schemas/groups.js
+const { string } = require('../middleware/validate');
+
+const name = string({ required: true, maxLength: 100 });
+
+module.exports = {
+  createGroup: { body: { name } },
+  renameGroup: { params: { oldName: string({ required: true, maxLength: 100 }) }, body: { name } }
+};
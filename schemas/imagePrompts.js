@@ -0,0 +1,22 @@
+// schemas/imagePrompts.js
+const { string, integer } = require('../middleware/validate');
+
+const CATEGORIES = ['Object', 'Nature', 'Animal', 'Place', 'Emotion', 'Action', 'Other'];
+
+module.exports = {
+  randomPrompts: { params: { count: integer({ required: true, min: 1 }) } },
+  createPrompt: {
+    body: {
+      word: string({ required: true, maxLength: 100 }),
+      imageUrl: string({
+        required: true,
+        maxLength: 5 * 1024 * 1024,
+        pattern: /^(https?|data:image):/,
+        patternMessage: 'must be an http(s) URL or a data:image URI'
+      }),
+      category: string({ enum: CATEGORIES, default: 'Other' }),
+      difficulty: integer({ min: 1, max: 3, default: 1 })
+    }
+  },
+  deletePrompt: { params: { word: string({ required: true, maxLength: 100 }) } }
+};
@@ -0,0 +1,26 @@
+// schemas/journal.js
+const { idParam, string } = require('../middleware/validate');
+
+const textFields = {
+  title: string({ maxLength: 200 }),
+  task1: string({ maxLength: 20000 }),
+  task2: string({ maxLength: 20000 }),
+  task3: string({ maxLength: 50000 })
+};
+
+module.exports = {
+  entryId: { params: idParam() },
+  // The entry always belongs to the logged-in user; a userId in the body is ignored
+  createEntry: {
+    body: {
+      date: string({
+        required: true,
+        pattern: /^\d{4}-\d{2}-\d{2}$/,
+        patternMessage: 'must be in YYYY-MM-DD format',
+        check: value => (isNaN(new Date(`${value}T00:00:00.000Z`)) ? 'is not a real date' : undefined)
+      }),
+      ...textFields
+    }
+  },
+  updateEntry: { params: idParam(), body: textFields }
+};
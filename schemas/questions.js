@@ -0,0 +1,15 @@
+// schemas/questions.js
+const { optional, idParam, string, integer, array } = require('../middleware/validate');
+
+const questionFields = {
+  question: string({ required: true, maxLength: 2000 }),
+  options: array(string({ required: true, maxLength: 500 }), { required: true, minLength: 4, maxLength: 4 }),
+  correctAnswer: integer({ required: true, min: 0, max: 3 }),
+  explanation: string({ maxLength: 2000 })
+};
+
+module.exports = {
+  questionId: { params: idParam() },
+  createQuestion: { body: questionFields },
+  updateQuestion: { params: idParam(), body: optional(questionFields) }
+};
@@ -0,0 +1,54 @@
+// schemas/scrabble.js
+const { idParam, string, integer, boolean, any, array, object } = require('../middleware/validate');
+
+const BOARD_SIZE = 15;
+const RACK_SIZE = 7;
+
+// Board cells are empty, a letter, or { letter, blank }
+const isCell = v => (typeof v === 'string' && v.length <= 2) || (typeof v === 'object' && !Array.isArray(v));
+const cell = any({ nullable: true, check: v => (isCell(v) ? undefined : 'must be a letter or empty') });
+const board = array(array(cell, { maxLength: BOARD_SIZE }), { maxLength: BOARD_SIZE });
+
+const placedTile = object({
+  row: integer({ required: true, min: 0, max: BOARD_SIZE - 1 }),
+  col: integer({ required: true, min: 0, max: BOARD_SIZE - 1 }),
+  letter: string({ required: true, maxLength: 2 }),
+  blank: boolean(),
+  isBlank: boolean()
+});
+const placement = array(placedTile, { minLength: 1, maxLength: RACK_SIZE });
+
+// A rack is a string ("AB?") or a list of letters / { letter } tiles
+const rack = any({
+  check: v => {
+    if (typeof v === 'string') return v.length <= RACK_SIZE ? undefined : `must have at most ${RACK_SIZE} tiles`;
+    if (!Array.isArray(v)) return 'must be a string or a list of tiles';
+    if (v.length > RACK_SIZE) return `must have at most ${RACK_SIZE} tiles`;
+    return v.every(t => t === null || typeof t === 'string' || (t && typeof t === 'object')) ? undefined : 'must be a string or a list of tiles';
+  }
+});
+
+module.exports = {
+  validateWord: {
+    body: {
+      word: string({
+        required: true,
+        maxLength: 64,
+        // Letters (accented or not), spaces, hyphens and apostrophes only - no regex metacharacters
+        pattern: /^[\p{L}\s'-]+$/u,
+        patternMessage: 'may only contain letters'
+      }),
+      board,
+      placement
+    }
+  },
+  randomWords: { query: { count: integer({ min: 1, max: 200, default: 50 }) } },
+  aiMove: { body: { board, tiles: { ...rack, required: true } } },
+
+  // Saved games
+  gameId: { params: idParam() },
+  createGame: { body: { vsAI: boolean() } },
+  listGames: { query: { status: string({ enum: ['active', 'finished'] }) } },
+  playMove: { params: idParam(), body: { tiles: { ...placement, required: true } } },
+  exchangeTiles: { params: idParam(), body: { tiles: { ...rack, required: true } } }
+};
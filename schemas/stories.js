@@ -0,0 +1,25 @@
+// schemas/stories.js
+const { optional, idParam, string, integer, objectId, array, object } = require('../middleware/validate');
+
+const paragraph = object({
+  portuguese: string({ required: true, maxLength: 5000 }),
+  english: string({ required: true, maxLength: 5000 })
+});
+
+const storyFields = {
+  title: string({ required: true, maxLength: 200 }),
+  description: string({ required: true, maxLength: 2000 }),
+  difficulty: integer({ min: 1, max: 5 }),
+  category: string({ required: true, maxLength: 100 }),
+  paragraphs: array(paragraph, { required: true, minLength: 1, maxLength: 200 })
+};
+
+module.exports = {
+  storyId: { params: idParam() },
+  createStory: { body: storyFields },
+  updateStory: { params: idParam(), body: optional(storyFields) },
+
+  // Saved stories
+  saveStory: { body: { storyId: objectId({ required: true }) } },
+  unsaveStory: { params: idParam('storyId') }
+};
@@ -0,0 +1,29 @@
+// schemas/tests.js
+const { optional, idParam, string, integer, objectId, array, object } = require('../middleware/validate');
+
+const TEST_TYPES = ['Multiple Choice', 'Fill in the Blank', 'Translation', 'Word Order'];
+
+const question = object({
+  question: string({ required: true, maxLength: 2000 }),
+  options: array(string({ maxLength: 500 }), { maxLength: 10 }),
+  correctAnswer: integer({ required: true, min: 0 }),
+  explanation: string({ maxLength: 2000 })
+});
+
+const testFields = {
+  title: string({ required: true, maxLength: 200 }),
+  description: string({ required: true, maxLength: 2000 }),
+  type: string({ required: true, enum: TEST_TYPES }),
+  estimatedTime: integer({ required: true, min: 1, max: 600 }),
+  storyId: objectId({ required: true }),
+  questions: array(question, { maxLength: 200 })
+};
+
+module.exports = {
+  TEST_TYPES,
+  testId: { params: idParam() },
+  testsForStory: { params: idParam('storyId') },
+  testsOfType: { params: { type: string({ required: true, enum: TEST_TYPES }) } },
+  createTest: { body: testFields },
+  updateTest: { params: idParam(), body: optional(testFields) }
+};
@@ -0,0 +1,45 @@
+// schemas/words.js
+const { optional, idParam, string, number, integer, boolean, date, array, object } = require('../middleware/validate');
+const { TEMPLATE_FIELDS } = require('../services/anki');
+
+const wordFields = {
+  portuguese: string({ required: true, minLength: 1, maxLength: 200 }),
+  english: string({ required: true, minLength: 1, maxLength: 500 }),
+  group: string({ maxLength: 100 }),
+  examples: array(string({ maxLength: 1000 }), { maxLength: 50 }),
+  imageUrl: string({ nullable: true, maxLength: 2000 }),
+  synonyms: array(string({ maxLength: 200 }), { maxLength: 50 })
+};
+
+// The user's own schedule for the word (see PUT /api/words/:id)
+const progressFields = {
+  ease: number({ min: 1.3, max: 10 }),
+  interval: number({ min: 0 }),
+  reviewCount: integer({ min: 0 }),
+  lastReviewed: date(),
+  nextReview: date({ nullable: true })
+};
+
+module.exports = {
+  // Also used to check rows of an uploaded word list (services/wordImport)
+  wordFields,
+  listWords: {
+    query: {
+      search: string({ maxLength: 200 }),
+      group: string({ maxLength: 100 }),
+      sort: string({ enum: ['portuguese', 'english', 'group', 'createdAt'], default: 'portuguese' }),
+      order: string({ enum: ['asc', 'desc'], default: 'asc' }),
+      page: integer({ min: 1 }),
+      limit: integer({ min: 1, max: 100 })
+    }
+  },
+  wordId: { params: idParam() },
+  createWord: { body: wordFields },
+  updateWord: { params: idParam(), body: { ...optional(wordFields), ...progressFields } },
+  importWords: {
+    query: { commit: boolean({ default: false }) },
+    // Anki uploads only: template[portuguese]={{Front}}&template[english]={{Back}}...
+    body: { template: object(Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, string({ maxLength: 500 })]))) }
+  },
+  importResult: { params: { file: string({ required: true, maxLength: 200 }) } }
+};
@@ -0,0 +1,118 @@
+// services/accountData.js
+// Everything stored about one user, for data export and account deletion.
+const archiver = require('archiver');
+const User = require('../models/User');
+const CardState = require('../models/CardState');
+const ConjugationProgress = require('../models/ConjugationProgress');
+const ReviewLog = require('../models/ReviewLog');
+const Journal = require('../models/Journal');
+const ScrabbleGame = require('../models/ScrabbleGame');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('./logger');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Collect the user's data from every collection that holds it.
+ * Returns null when the user doesn't exist.
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId)
+    .select('-password')
+    .populate('progress.savedStories', 'title')
+    .lean();
+  if (!user) return null;
+
+  const [cards, reviews, conjugations, journals, scrabbleGames, sessions] = await Promise.all([
+    CardState.find({ user: userId }).populate('word', 'portuguese english').lean(),
+    ReviewLog.find({ user: userId }).sort({ reviewedAt: 1 }).lean(),
+    ConjugationProgress.find({ user: userId }).lean(),
+    Journal.find({ userId: String(userId) }).sort({ date: 1 }).lean(),
+    ScrabbleGame.find({ owner: userId }).select('-bag').lean(),
+    RefreshToken.find({ user: userId }).select('createdAt expiresAt revokedAt userAgent ip').lean()
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    account: user,
+    flashcardProgress: cards,
+    reviewHistory: reviews,
+    conjugationProgress: conjugations,
+    journal: journals,
+    scrabbleGames,
+    sessions
+  };
+}
+
+// Stream the export as a ZIP with one JSON file per section
+function streamZip(data, res) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', err => {
+    logger.error('Error building data export archive', err);
+    res.destroy(err);
+  });
+  archive.pipe(res);
+
+  for (const [section, value] of Object.entries(data)) {
+    if (section === 'exportedAt') continue;
+    archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+  }
+  archive.append(
+    `Data export created ${data.exportedAt.toISOString()}\n\n` +
+    'account.json              profile, settings, streak, saved stories and test scores\n' +
+    'flashcardProgress.json    your schedule for each flashcard\n' +
+    'reviewHistory.json        every flashcard review\n' +
+    'conjugationProgress.json  your conjugation drill results per tense and person\n' +
+    'journal.json              journal entries\n' +
+    'scrabbleGames.json        scrabble games\n' +
+    'sessions.json             devices you have logged in from\n',
+    { name: 'README.txt' }
+  );
+
+  return archive.finalize();
+}
+
+// Mark the account for deletion after the grace period
+function scheduleDeletion(user, now = new Date()) {
+  user.deletion = {
+    requestedAt: now,
+    scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * ONE_DAY)
+  };
+}
+
+function cancelDeletion(user) {
+  user.deletion = { requestedAt: null, scheduledFor: null };
+}
+
+// Delete the user and everything that belongs to them
+async function purgeAccount(userId) {
+  await Promise.all([
+    CardState.deleteMany({ user: userId }),
+    ReviewLog.deleteMany({ user: userId }),
+    ConjugationProgress.deleteMany({ user: userId }),
+    Journal.deleteMany({ userId: String(userId) }),
+    ScrabbleGame.deleteMany({ owner: userId }),
+    RefreshToken.deleteMany({ user: userId })
+  ]);
+  await User.deleteOne({ _id: userId });
+}
+
+// Purge every account whose grace period has ended; returns how many
+async function purgeDueAccounts(now = new Date()) {
+  const due = await User.find({ 'deletion.scheduledFor': { $lte: now } }).select('_id').lean();
+  for (const { _id } of due) {
+    await purgeAccount(_id);
+  }
+  return due.length;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  collectUserData,
+  streamZip,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,32 @@
+// services/accountEmails.js
+// Account emails. Links point at the frontend (APP_URL), which posts the
+// token back to the matching /api/auth/.../confirm endpoint.
+const { sendMail } = require('./mailer');
+
+const appUrl = (path, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+function sendPasswordResetEmail(user, token) {
+  const link = appUrl('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Olá ${user.name},\n\n` +
+      `Someone asked to reset the password for this account. To choose a new one, open:\n${link}\n\n` +
+      'The link expires in 1 hour. If it was not you, you can ignore this email.'
+  });
+}
+
+function sendVerificationEmail(user, token) {
+  const link = appUrl('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Olá ${user.name},\n\nPlease confirm your email address by opening:\n${link}\n\n` +
+      'The link expires in 24 hours.'
+  });
+}
+
+module.exports = { sendPasswordResetEmail, sendVerificationEmail };
@@ -0,0 +1,42 @@
+// services/accountTokens.js
+// One-time, expiring tokens for password resets and email verification.
+// The raw token is only ever emailed; the user document keeps an HMAC of it
+// (keyed with JWT_SECRET) and the expiry time.
+const crypto = require('crypto');
+
+const PURPOSES = {
+  passwordReset: { ttl: 60 * 60 * 1000 },              // 1 hour
+  emailVerification: { ttl: 24 * 60 * 60 * 1000 }     // 24 hours
+};
+
+const signToken = (token) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(String(token))
+  .digest('hex');
+
+/**
+ * Put a fresh token for `purpose` on the user (replacing any earlier one).
+ * Returns the raw token; the caller saves the user.
+ */
+function createAccountToken(user, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  user[purpose] = {
+    tokenHash: signToken(token),
+    expiresAt: new Date(Date.now() + PURPOSES[purpose].ttl)
+  };
+  return token;
+}
+
+// Filter matching the user who holds an unexpired token for `purpose`
+function accountTokenFilter(purpose, token) {
+  return {
+    [`${purpose}.tokenHash`]: signToken(token),
+    [`${purpose}.expiresAt`]: { $gt: new Date() }
+  };
+}
+
+function clearAccountToken(user, purpose) {
+  user[purpose] = { tokenHash: null, expiresAt: null };
+}
+
+module.exports = { PURPOSES, createAccountToken, accountTokenFilter, clearAccountToken };
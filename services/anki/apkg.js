@@ -0,0 +1,241 @@
+// services/anki/apkg.js
+// Reads and writes Anki .apkg packages: a zip holding an SQLite collection
+// (schema 11, "collection.anki2") and a JSON "media" map.
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const initSqlJs = require('sql.js');
+
+const FIELD_SEPARATOR = '\x1f';
+const SCHEMA_VERSION = 11;
+
+// sql.js compiles its WebAssembly once, on first use
+let sqlReady = null;
+function sql() {
+  if (!sqlReady) sqlReady = initSqlJs();
+  return sqlReady;
+}
+
+const SCHEMA = `
+  CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+    models text not null, decks text not null, dconf text not null, tags text not null);
+  CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+    flags integer not null, data text not null);
+  CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+    ivl integer not null, factor integer not null, reps integer not null, lapses integer not null,
+    left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+  CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+  CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+  CREATE INDEX ix_notes_usn ON notes (usn);
+  CREATE INDEX ix_cards_usn ON cards (usn);
+  CREATE INDEX ix_revlog_usn ON revlog (usn);
+  CREATE INDEX ix_cards_nid ON cards (nid);
+  CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+  CREATE INDEX ix_revlog_cid ON revlog (cid);
+  CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+// Plain text of a field: tags, sound references and entities removed,
+// line breaks kept as "\n"
+function fieldText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Anki's duplicate check: the first 8 hex digits of the SHA-1 of the sort field
+const checksum = (text) => parseInt(crypto.createHash('sha1').update(fieldText(text)).digest('hex').slice(0, 8), 16);
+
+// ---- writing ----
+
+function deckJson(id, name, mod) {
+  return {
+    id, name, mod, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+    extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+  };
+}
+
+function deckConfigJson({ learningSteps, relearningSteps, newPerDay, reviewsPerDay }, mod) {
+  return {
+    id: 1, name: 'Default', mod, usn: -1, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { delays: learningSteps, ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: newPerDay, bury: false },
+    rev: { perDay: reviewsPerDay, ease4: 1.3, ivlFct: 1, maxIvl: 36500, fuzz: 0.05, bury: false, hardFactor: 1.2 },
+    lapse: { delays: relearningSteps, mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+  };
+}
+
+function modelJson({ id, name, fields, templates, css }, did, mod) {
+  return {
+    id, name, type: 0, mod, usn: -1, sortf: 0, did, tags: [], vers: [], css,
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+      '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    flds: fields.map((fieldName, ord) => ({ name: fieldName, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+    tmpls: templates.map((t, ord) => ({ name: t.name, ord, qfmt: t.front, afmt: t.back, did: null, bqfmt: '', bafmt: '' })),
+    // A card is generated when its template's prompt field is filled in
+    req: templates.map((t, ord) => [ord, 'any', [fields.indexOf(t.requires)]])
+  };
+}
+
+/**
+ * Build an .apkg (resolves to a Buffer).
+ *   deck:   { name, config: { learningSteps, relearningSteps, newPerDay, reviewsPerDay } }
+ *   model:  { name, fields: [...], templates: [{ name, front, back, requires }], css }
+ *   notes:  [{ guid, fields: [...] (HTML), tags: [...], cards: [{ ord, type, queue, due, ivl, factor, reps, lapses, left }] }]
+ *   createdAt: the collection's creation day; review card `due` values count days from it
+ */
+async function writeApkg({ deck, model, notes, createdAt }) {
+  const SQL = await sql();
+  const db = new SQL.Database();
+  try {
+    const now = Date.now();
+    const mod = Math.floor(now / 1000);
+    const deckId = now;
+    const modelId = now + 1;
+
+    db.run(SCHEMA);
+    db.run('INSERT INTO col VALUES (1, ?, ?, ?, ?, 0, 0, 0, ?, ?, ?, ?, ?)', [
+      Math.floor(createdAt.getTime() / 1000),
+      now,
+      now,
+      SCHEMA_VERSION,
+      JSON.stringify({
+        nextPos: notes.length + 1, estTimes: true, activeDecks: [deckId], sortType: 'noteFld', timeLim: 0,
+        sortBackwards: false, addToCur: true, curDeck: deckId, newSpread: 0, dueCounts: true,
+        curModel: String(modelId), collapseTime: 1200
+      }),
+      JSON.stringify({ [modelId]: modelJson({ ...model, id: modelId }, deckId, mod) }),
+      JSON.stringify({ 1: deckJson(1, 'Default', mod), [deckId]: deckJson(deckId, deck.name, mod) }),
+      JSON.stringify({ 1: deckConfigJson(deck.config, mod) }),
+      '{}'
+    ]);
+
+    // Note and card ids are creation times in ms in Anki; keep them unique
+    let nextId = now;
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, \'\')');
+    db.run('BEGIN');
+    for (const note of notes) {
+      const noteId = nextId++;
+      const tags = note.tags.length ? ` ${note.tags.join(' ')} ` : '';
+      insertNote.run([noteId, note.guid, modelId, mod, tags, note.fields.join(FIELD_SEPARATOR),
+        fieldText(note.fields[0]), checksum(note.fields[0])]);
+      for (const card of note.cards) {
+        insertCard.run([nextId++, noteId, deckId, card.ord, mod, card.type, card.queue, card.due,
+          card.ivl, card.factor, card.reps, card.lapses, card.left]);
+      }
+    }
+    db.run('COMMIT');
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file('collection.anki2', db.export());
+    zip.file('media', '{}');
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  } finally {
+    db.close();
+  }
+}
+
+// ---- reading ----
+
+function queryAll(db, statement) {
+  const [result] = db.exec(statement);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+}
+
+const hasTable = (db, name) => queryAll(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+
+// Field names per note type and deck names, from the JSON columns (schema 11)
+// or the separate tables newer collections use
+function collectionInfo(db) {
+  const fieldNames = new Map();
+  const deckNames = new Map();
+
+  if (hasTable(db, 'fields')) {
+    for (const f of queryAll(db, 'SELECT ntid, ord, name FROM fields ORDER BY ntid, ord')) {
+      if (!fieldNames.has(String(f.ntid))) fieldNames.set(String(f.ntid), []);
+      fieldNames.get(String(f.ntid))[f.ord] = f.name;
+    }
+  }
+  if (hasTable(db, 'decks')) {
+    for (const d of queryAll(db, 'SELECT id, name FROM decks')) deckNames.set(String(d.id), d.name.replace(/\x1f/g, '::'));
+  }
+
+  const [col] = queryAll(db, 'SELECT models, decks FROM col');
+  const models = col && col.models ? JSON.parse(col.models) : {};
+  const decks = col && col.decks ? JSON.parse(col.decks) : {};
+  for (const [id, model] of Object.entries(models)) {
+    if (!fieldNames.has(id)) fieldNames.set(id, (model.flds || []).sort((a, b) => a.ord - b.ord).map(f => f.name));
+  }
+  for (const [id, d] of Object.entries(decks)) {
+    if (!deckNames.has(id)) deckNames.set(id, d.name);
+  }
+  return { fieldNames, deckNames };
+}
+
+/**
+ * Read the notes of an .apkg. Resolves to
+ * { notes: [{ fields: { name: text }, values: [text], deck, tags: [...] }] } or { error }.
+ */
+async function readApkg(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    return { error: 'Could not read the file' };
+  }
+
+  const entry = zip.file('collection.anki21') || zip.file('collection.anki2');
+  if (!entry || (zip.file('collection.anki21b') && !zip.file('collection.anki21'))) {
+    return { error: 'This deck uses the newest Anki format; export it again with "Support older Anki versions" ticked' };
+  }
+
+  const SQL = await sql();
+  let db;
+  try {
+    db = new SQL.Database(await entry.async('uint8array'));
+    const { fieldNames, deckNames } = collectionInfo(db);
+    const rows = queryAll(db, `
+      SELECT n.mid, n.flds, n.tags, (SELECT c.did FROM cards c WHERE c.nid = n.id ORDER BY c.ord LIMIT 1) AS did
+      FROM notes n ORDER BY n.id`);
+
+    const notes = rows.map(row => {
+      const names = fieldNames.get(String(row.mid)) || [];
+      const values = String(row.flds).split(FIELD_SEPARATOR).map(fieldText);
+      return {
+        fields: Object.fromEntries(values.map((value, i) => [names[i] || String(i + 1), value])),
+        values,
+        deck: deckNames.get(String(row.did)) || '',
+        tags: String(row.tags || '').trim().split(/\s+/).filter(Boolean)
+      };
+    });
+    return { notes };
+  } catch (err) {
+    return { error: 'Could not read the Anki collection in this file' };
+  } finally {
+    if (db) db.close();
+  }
+}
+
+module.exports = { writeApkg, readApkg, fieldText, escapeHtml };
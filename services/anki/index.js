@@ -0,0 +1,193 @@
+// services/anki/index.js
+// Flashcards to and from Anki. A user's words go out as an .apkg deck, one
+// card per study direction, with each card's interval, ease and due date
+// carried over. Anki notes (.apkg or a plain text export) come in as word
+// rows for services/wordImport, mapped through a field template.
+const path = require('path');
+const Word = require('../../models/Word');
+const CardState = require('../../models/CardState');
+const { normalizeEntry } = require('../scheduler');
+const { DIRECTIONS } = require('../cardDirections');
+const { writeApkg, readApkg, escapeHtml } = require('./apkg');
+const { readAnkiText } = require('./text');
+
+const EXTENSIONS = ['.apkg', '.txt'];
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const DECK_NAME = 'Portuguese';
+const NOTE_TYPE = 'Portuguese vocabulary';
+const NOTE_FIELDS = ['Portuguese', 'English', 'Examples', 'Synonyms'];
+
+// One card template per study direction; `ord` follows DIRECTIONS order
+const CARD_TEMPLATES = {
+  recognition: {
+    name: 'Recognition',
+    front: '{{Portuguese}}',
+    back: '{{FrontSide}}<hr id=answer>{{English}}<div class=extra>{{Examples}}</div>',
+    requires: 'Portuguese'
+  },
+  production: {
+    name: 'Production',
+    front: '{{English}}',
+    back: '{{FrontSide}}<hr id=answer>{{Portuguese}}<div class=extra>{{Examples}}</div>',
+    requires: 'English'
+  },
+  typed: {
+    name: 'Typed',
+    front: '{{English}}<br>{{type:Portuguese}}',
+    back: '{{English}}<hr id=answer>{{type:Portuguese}}<div class=extra>{{Synonyms}}</div>',
+    requires: 'English'
+  }
+};
+const CSS = '.card { font-family: arial; font-size: 24px; text-align: center; }\n' +
+  '.extra { font-size: 16px; color: #666; margin-top: 12px; }';
+
+// Word field -> template text. {{Name}} is a note field by name (ignoring
+// case), {{1}} a field by position, {{Deck}} the deck (last part of a nested
+// name) and {{Tags}} the note's tags. Unknown names come out empty.
+const DEFAULT_TEMPLATE = { portuguese: '{{1}}', english: '{{2}}' };
+const TEMPLATE_FIELDS = ['portuguese', 'english', 'group', 'examples', 'synonyms'];
+// Several examples or synonyms in one field go on separate lines
+const LIST_FIELDS = ['examples', 'synonyms'];
+
+// ---- export ----
+
+// Anki scheduling for one of our card states. Review cards are due in days
+// counted from the collection's creation day, learning cards at a time in
+// seconds; new cards are ordered by `position`.
+function ankiCard(card, ord, position, createdAt) {
+  const entry = normalizeEntry(card || {});
+  const base = { ord, reps: entry.reviewCount, lapses: entry.lapses, factor: Math.round(entry.ease * 1000), left: 0 };
+  const interval = Math.max(1, Math.round(entry.interval));
+  const next = entry.nextReview ? new Date(entry.nextReview).getTime() : Date.now();
+
+  switch (entry.state) {
+    case 'review':
+      return { ...base, type: 2, queue: 2, ivl: interval, due: Math.max(0, Math.floor((next - createdAt.getTime()) / ONE_DAY)) };
+    case 'learning':
+      return { ...base, type: 1, queue: 1, ivl: 0, due: Math.floor(next / 1000), left: 1001 };
+    case 'relearning':
+      return { ...base, type: 3, queue: 1, ivl: interval, due: Math.floor(next / 1000), left: 1001 };
+    default:
+      return { ...base, type: 0, queue: 0, ivl: 0, factor: 0, due: position };
+  }
+}
+
+// Anki tags can't contain spaces
+const groupTag = (group) => group.trim().replace(/\s+/g, '_');
+
+function deckName(groups) {
+  return groups && groups.length ? `${DECK_NAME}::${groups.join(' + ')}` : DECK_NAME;
+}
+
+/**
+ * Build a user's deck as an .apkg Buffer.
+ *   groups:     only words in these groups (all words when empty)
+ *   directions: card directions to include (all when empty)
+ *   settings:   the user's flashcard settings, used for the deck options
+ */
+async function exportDeck(userId, { groups, directions, settings }) {
+  const included = Object.keys(DIRECTIONS).filter(d => !directions || !directions.length || directions.includes(d));
+  const filter = groups && groups.length ? { group: { $in: groups } } : {};
+  const words = await Word.find(filter).sort({ portuguese: 1 }).lean();
+
+  const cards = await CardState.find({
+    user: userId,
+    word: { $in: words.map(w => w._id) },
+    direction: { $in: included }
+  }).lean();
+  const cardFor = new Map(cards.map(c => [`${c.word}:${c.direction}`, c]));
+
+  const now = new Date();
+  const createdAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const notes = words.map((word, i) => ({
+    guid: String(word._id),
+    fields: [
+      escapeHtml(word.portuguese),
+      escapeHtml(word.english),
+      (word.examples || []).map(escapeHtml).join('<br>'),
+      (word.synonyms || []).map(escapeHtml).join('<br>')
+    ],
+    tags: word.group ? [groupTag(word.group)] : [],
+    cards: included.map(direction => ankiCard(
+      cardFor.get(`${word._id}:${direction}`),
+      Object.keys(DIRECTIONS).indexOf(direction),
+      i + 1,
+      createdAt
+    ))
+  }));
+
+  return writeApkg({
+    deck: {
+      name: deckName(groups),
+      config: {
+        learningSteps: settings.learningSteps,
+        relearningSteps: settings.relearningSteps,
+        newPerDay: settings.newCardsPerDay,
+        reviewsPerDay: settings.maxReviewsPerDay
+      }
+    },
+    model: {
+      name: NOTE_TYPE,
+      fields: NOTE_FIELDS,
+      templates: Object.keys(DIRECTIONS).map(d => CARD_TEMPLATES[d]),
+      css: CSS
+    },
+    notes,
+    createdAt
+  });
+}
+
+// ---- import ----
+
+/**
+ * Read the notes of an uploaded .apkg or text export ({ originalname, buffer }).
+ * Resolves to { notes } (see apkg.readApkg) or { error }.
+ */
+async function readNotes(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  try {
+    return ext === '.apkg' ? await readApkg(file.buffer) : await readAnkiText(file.buffer);
+  } catch (err) {
+    return { error: 'Could not read the file' };
+  }
+}
+
+function fillTemplate(text, note, fieldsByName) {
+  return text.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, name) => {
+    const key = name.toLowerCase();
+    if (/^\d+$/.test(key)) return note.values[Number(key) - 1] ?? '';
+    if (fieldsByName.has(key)) return fieldsByName.get(key);
+    if (key === 'deck') return note.deck.split('::').pop();
+    if (key === 'tags') return note.tags.join(' ');
+    return '';
+  });
+}
+
+/**
+ * Turn a note into the cells of one word row, the shape wordImport.readRows
+ * gives for spreadsheets: { portuguese, english, group, examples, synonyms }.
+ * `template` entries override DEFAULT_TEMPLATE.
+ */
+function noteToCells(note, template = {}) {
+  const merged = { ...DEFAULT_TEMPLATE, ...template };
+  const fieldsByName = new Map(Object.entries(note.fields).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const cells = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (!merged[field]) continue;
+    const value = fillTemplate(merged[field], note, fieldsByName).trim();
+    cells[field] = LIST_FIELDS.includes(field)
+      ? value.split('\n').map(item => item.trim()).filter(Boolean).join(' | ')
+      : value.replace(/\s*\n\s*/g, ' ');
+  }
+  return cells;
+}
+
+module.exports = {
+  EXTENSIONS,
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  exportDeck,
+  readNotes,
+  noteToCells
+};
@@ -0,0 +1,80 @@
+// services/anki/text.js
+// Reads Anki "Notes in Plain Text" exports: one note per line, fields split
+// by a separator (tab by default), optional "#key:value" header lines such as
+// #separator:tab, #columns:<names>, #deck column:3, #tags column:4.
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { fieldText } = require('./apkg');
+
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+// Columns that describe the note rather than hold a field
+const SPECIAL_COLUMNS = ['notetype', 'deck', 'tags', 'guid'];
+
+function readHeader(lines) {
+  const header = { separator: '\t', columns: null, special: {} };
+  let count = 0;
+  for (const line of lines) {
+    if (!line.startsWith('#')) break;
+    count += 1;
+    const [key, ...rest] = line.slice(1).split(':');
+    const value = rest.join(':').replace(/\r$/, '');
+    const name = key.trim().toLowerCase();
+
+    if (name === 'separator') header.separator = SEPARATORS[value.trim().toLowerCase()] || value;
+    else if (name === 'columns') header.columns = value;
+    else if (name.endsWith(' column') && SPECIAL_COLUMNS.includes(name.slice(0, -7))) {
+      header.special[name.slice(0, -7)] = Number(value) - 1;
+    }
+  }
+  return { header, count };
+}
+
+function parseLines(text, separator) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from([text])
+      .pipe(csv({ separator, headers: false }))
+      .on('data', row => rows.push(Object.keys(row).sort((a, b) => a - b).map(key => row[key])))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Read the notes of a text export. Resolves to
+ * { notes: [{ fields: { name: text }, values: [text], deck, tags: [...] }] }.
+ * Fields are named by a #columns header when there is one, otherwise "1", "2", ...
+ */
+async function readAnkiText(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const lines = text.split('\n');
+  const { header, count } = readHeader(lines);
+  const rows = await parseLines(lines.slice(count).join('\n'), header.separator);
+
+  const names = header.columns ? header.columns.split(header.separator).map(name => name.trim()) : null;
+  const specialIndexes = new Set(Object.values(header.special));
+
+  const notes = rows
+    .filter(cells => cells.some(cell => cell.trim()))
+    .map(cells => {
+      const fields = {};
+      const values = [];
+      cells.forEach((cell, i) => {
+        if (specialIndexes.has(i)) return;
+        const value = fieldText(cell);
+        values.push(value);
+        const name = names && names[i] && !SPECIAL_COLUMNS.includes(names[i].toLowerCase()) ? names[i] : String(values.length);
+        fields[name] = value;
+      });
+      const at = (column) => (header.special[column] === undefined ? '' : cells[header.special[column]] || '');
+      return {
+        fields,
+        values,
+        deck: at('deck').trim(),
+        tags: at('tags').trim().split(/\s+/).filter(Boolean)
+      };
+    });
+  return { notes };
+}
+
+module.exports = { readAnkiText };
@@ -0,0 +1,52 @@
+// services/answerCheck.js
+// Server-side checking of typed answers: tolerant of accents, case,
+// punctuation and leading articles.
+const { foldDiacritics } = require('./normalize');
+
+const ARTICLES = ['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas'];
+const ARTICLE_PATTERN = new RegExp(`^(${ARTICLES.join('|')})\\s+`);
+
+// Lowercase, drop punctuation and a leading article; accents are kept
+function tidy(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[.,!?;:"'()¿¡]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(ARTICLE_PATTERN, '');
+}
+
+// "o gato / a gata" and "carro, automóvel" list several acceptable answers
+function splitAlternatives(text) {
+  return String(text || '').split(/[\/,;]/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Compare a typed answer with a list of accepted answers.
+ * Returns { correct, exact, accentMismatch, expected, matched }.
+ */
+function checkAnswer(answer, accepted) {
+  const candidates = accepted.flatMap(splitAlternatives);
+  const typed = tidy(answer);
+
+  const exactMatch = candidates.find(c => tidy(c) === typed);
+  const foldedMatch = exactMatch || candidates.find(c => foldDiacritics(tidy(c)) === foldDiacritics(typed));
+
+  return {
+    correct: !!typed && !!foldedMatch,
+    exact: !!typed && !!exactMatch,
+    accentMismatch: !!typed && !exactMatch && !!foldedMatch,
+    expected: candidates[0] || null,
+    matched: typed ? foldedMatch || null : null
+  };
+}
+
+// Grade for the scheduler: exact = good, accents only = hard, wrong = again
+function gradeFromCheck(result) {
+  if (result.exact) return 4;
+  if (result.correct) return 3;
+  return 1;
+}
+
+module.exports = { tidy, checkAnswer, gradeFromCheck };
@@ -0,0 +1,30 @@
+// services/cardDirections.js
+// Each word can be studied in several directions, each with its own schedule.
+const { checkAnswer } = require('./answerCheck');
+
+const DIRECTIONS = {
+  recognition: { prompt: 'portuguese', answer: 'english' },  // PT -> EN
+  production: { prompt: 'english', answer: 'portuguese' },   // EN -> PT
+  typed: { prompt: 'english', answer: 'portuguese' }         // EN -> PT, answer typed and checked on the server
+};
+const DEFAULT_DIRECTION = 'recognition';
+
+const isDirection = (direction) => Object.prototype.hasOwnProperty.call(DIRECTIONS, direction);
+
+// Recognition keeps the bare wordId so existing progress entries stay valid
+function progressKey(wordId, direction = DEFAULT_DIRECTION) {
+  return direction === DEFAULT_DIRECTION ? String(wordId) : `${wordId}:${direction}`;
+}
+
+// Typed answers may match the Portuguese word or any of its listed synonyms
+function checkTypedAnswer(word, answer) {
+  return checkAnswer(answer, [word.portuguese, ...(word.synonyms || [])]);
+}
+
+module.exports = {
+  DIRECTIONS,
+  DEFAULT_DIRECTION,
+  isDirection,
+  progressKey,
+  checkTypedAnswer
+};
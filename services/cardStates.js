@@ -0,0 +1,241 @@
+// services/cardStates.js
+// Reads and writes per-user card schedules (models/CardState) and builds the
+// due / new card queues with indexed queries instead of scanning every word.
+const mongoose = require('mongoose');
+const Word = require('../models/Word');
+const CardState = require('../models/CardState');
+const { normalizeEntry } = require('./scheduler');
+const { DEFAULT_DIRECTION } = require('./cardDirections');
+
+const SCHEDULE_FIELDS = [
+  'ease', 'interval', 'reviewCount', 'lastReviewed', 'nextReview',
+  'repetitions', 'lapses', 'stability', 'difficulty', 'state', 'step'
+];
+// The fields clients may set by hand (the legacy progress shape)
+const PROGRESS_FIELDS = ['ease', 'interval', 'reviewCount', 'lastReviewed', 'nextReview'];
+// Scheduler fields derived from ease and interval when they are missing
+const DERIVED_FIELDS = ['repetitions', 'stability', 'difficulty'];
+const LEARNING_STATES = ['learning', 'relearning'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Only the schedule fields of an entry, without unset values
+function scheduleFields(entry) {
+  const fields = {};
+  for (const key of SCHEDULE_FIELDS) {
+    if (entry[key] !== undefined) fields[key] = entry[key];
+  }
+  return fields;
+}
+
+// The progress fields merged into word payloads; unseen cards get defaults
+function cardFields(card) {
+  const entry = normalizeEntry(card || {});
+  return {
+    ease: entry.ease,
+    interval: entry.interval,
+    reviewCount: entry.reviewCount,
+    lastReviewed: entry.lastReviewed,
+    nextReview: entry.nextReview,
+    state: entry.state,
+    step: entry.step
+  };
+}
+
+const wordObject = (word) => (typeof word.toObject === 'function' ? word.toObject() : word);
+
+// Schedule of one card, normalized for the scheduler
+async function getCardState(userId, wordId, direction = DEFAULT_DIRECTION) {
+  const card = await CardState.findOne({ user: userId, word: wordId, direction }).lean();
+  return normalizeEntry(card || {});
+}
+
+async function saveCardState(userId, wordId, entry, direction = DEFAULT_DIRECTION) {
+  return CardState.findOneAndUpdate(
+    { user: userId, word: wordId, direction },
+    { $set: scheduleFields(entry) },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Progress set by hand: only the given PROGRESS_FIELDS change. A new ease or
+ * interval clears what the schedulers derive from them, and a new interval or
+ * review count makes the card new or in review again (at the first step).
+ */
+async function setProgress(userId, wordId, fields, direction = DEFAULT_DIRECTION) {
+  const $set = {};
+  for (const key of PROGRESS_FIELDS) {
+    if (fields[key] !== undefined) $set[key] = fields[key];
+  }
+  const update = { $set };
+
+  if ($set.ease !== undefined || $set.interval !== undefined) {
+    update.$unset = Object.fromEntries(DERIVED_FIELDS.map(key => [key, '']));
+  }
+  if ($set.interval !== undefined || $set.reviewCount !== undefined) {
+    const merged = { ...await getCardState(userId, wordId, direction), ...$set };
+    $set.state = merged.interval || merged.reviewCount ? 'review' : 'new';
+    $set.step = 0;
+  }
+
+  return CardState.findOneAndUpdate(
+    { user: userId, word: wordId, direction },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+// Merge the user's schedules into a page of words (one query for the whole page)
+async function attachCardStates(userId, words, direction = DEFAULT_DIRECTION) {
+  const cards = await CardState.find({
+    user: userId,
+    direction,
+    word: { $in: words.map(w => w._id) }
+  }).lean();
+  const byWord = new Map(cards.map(c => [String(c.word), c]));
+
+  return words.map(w => ({
+    ...wordObject(w),
+    direction,
+    ...cardFields(byWord.get(String(w._id)))
+  }));
+}
+
+// Cards from CardState with their word populated, as word payloads
+function cardsToWords(cards, direction) {
+  return cards
+    .filter(c => c.word)
+    .map(c => ({ ...wordObject(c.word), direction, ...cardFields(c) }));
+}
+
+// Words the user has never studied in this direction (anti-join on CardState)
+function newWordsPipeline(userId, direction) {
+  return [
+    {
+      $lookup: {
+        from: CardState.collection.name,
+        localField: '_id',
+        foreignField: 'word',
+        pipeline: [
+          { $match: { user: toObjectId(userId), direction } },
+          { $project: { _id: 1 } }
+        ],
+        as: 'card'
+      }
+    },
+    { $match: { card: { $size: 0 } } },
+    { $project: { card: 0 } }
+  ];
+}
+
+/**
+ * Never-studied words, oldest first. Words are scanned in order and the
+ * pipeline stops once `limit` new ones are found.
+ */
+async function findNewCards(userId, direction = DEFAULT_DIRECTION, { skip = 0, limit } = {}) {
+  const pipeline = [
+    { $sort: { createdAt: 1, portuguese: 1 } },
+    ...newWordsPipeline(userId, direction),
+    { $skip: skip }
+  ];
+  if (limit !== undefined) pipeline.push({ $limit: limit });
+
+  const words = await Word.aggregate(pipeline);
+  return words.map(w => ({ ...w, direction, ...cardFields(null) }));
+}
+
+// Every card has a word, so the new ones are simply the rest
+async function countNewCards(userId, direction = DEFAULT_DIRECTION) {
+  const [words, studied] = await Promise.all([
+    Word.countDocuments(),
+    CardState.countDocuments({ user: userId, direction })
+  ]);
+  return Math.max(0, words - studied);
+}
+
+// Studied cards whose nextReview has passed (or was never set), soonest first
+function dueFilter(userId, direction, now) {
+  return {
+    user: userId,
+    direction,
+    $or: [{ nextReview: { $lte: now } }, { nextReview: null }]
+  };
+}
+
+/**
+ * The due queue: studied cards that are due (soonest first), then words never
+ * studied in this direction. Returns { cards, total }; skip/limit page across both.
+ */
+async function findDueCards(userId, direction = DEFAULT_DIRECTION, { now = new Date(), skip = 0, limit } = {}) {
+  const filter = dueFilter(userId, direction, now);
+  const [dueTotal, newTotal] = await Promise.all([
+    CardState.countDocuments(filter),
+    countNewCards(userId, direction)
+  ]);
+
+  let cards = [];
+  if (skip < dueTotal) {
+    const query = CardState.find(filter).sort({ nextReview: 1 }).skip(skip).populate('word').lean();
+    if (limit !== undefined) query.limit(limit);
+    cards = cardsToWords(await query, direction);
+  }
+
+  const remaining = limit === undefined ? undefined : limit - cards.length;
+  if (remaining === undefined || remaining > 0) {
+    const fresh = await findNewCards(userId, direction, { skip: Math.max(0, skip - dueTotal), limit: remaining });
+    cards = cards.concat(fresh);
+  }
+
+  return { cards, total: dueTotal + newTotal };
+}
+
+/**
+ * Studied cards for a daily session: learning/relearning cards due by `now`,
+ * review cards due before `end` (up to `reviewLimit`) and the next learning
+ * step still to come today.
+ */
+async function findSessionCards(userId, direction = DEFAULT_DIRECTION, { now = new Date(), end, reviewLimit }) {
+  const base = { user: userId, direction };
+
+  const [learning, review, reviewTotal, upcoming] = await Promise.all([
+    CardState.find({ ...base, state: { $in: LEARNING_STATES }, nextReview: { $lte: now } })
+      .sort({ nextReview: 1 }).populate('word').lean(),
+    // limit(0) means "no limit" to MongoDB, so skip the query instead
+    reviewLimit > 0
+      ? CardState.find({ ...base, state: 'review', nextReview: { $lt: end } })
+        .sort({ nextReview: 1 }).limit(reviewLimit).populate('word').lean()
+      : [],
+    CardState.countDocuments({ ...base, state: 'review', nextReview: { $lt: end } }),
+    CardState.findOne({ ...base, state: { $in: LEARNING_STATES }, nextReview: { $gt: now, $lt: end } })
+      .sort({ nextReview: 1 }).select('nextReview').lean()
+  ]);
+
+  return {
+    learning: cardsToWords(learning, direction),
+    review: cardsToWords(review, direction),
+    reviewTotal,
+    nextLearningDue: upcoming ? upcoming.nextReview : null
+  };
+}
+
+// Remove every schedule for a deleted word
+function deleteCardStatesForWord(wordId) {
+  return CardState.deleteMany({ word: wordId });
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  PROGRESS_FIELDS,
+  scheduleFields,
+  cardFields,
+  getCardState,
+  saveCardState,
+  setProgress,
+  attachCardStates,
+  findNewCards,
+  countNewCards,
+  findDueCards,
+  findSessionCards,
+  deleteCardStatesForWord
+};
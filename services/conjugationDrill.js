@@ -0,0 +1,163 @@
+// services/conjugationDrill.js
+// Conjugation drills: each prompt asks for one form (verb, tense, person) of a
+// Conjugation document. Answers are checked like typed flashcards (accents
+// optional, but noted) and counted per user for each tense and person. Prompts
+// are drawn at random, weighted towards the tenses and persons the user gets
+// wrong most often.
+const Conjugation = require('../models/Conjugation');
+const ConjugationProgress = require('../models/ConjugationProgress');
+const { TENSES, PERSONS } = require('./conjugator');
+const { checkAnswer } = require('./answerCheck');
+
+const PRONOUNS = { eu: 'eu', voceEleEla: 'você/ele/ela', nos: 'nós', vocesEles: 'vocês/eles' };
+// Every tense/person pair that has a form; commands have no "eu"
+const CELLS = TENSES.flatMap(tense => PERSONS
+  .filter(person => tense !== 'imperative' || person !== 'eu')
+  .map(person => ({ tense, person })));
+// Forms the user knows well still come up now and then
+const MIN_WEIGHT = 0.05;
+
+const cellKey = (tense, person) => `${tense}.${person}`;
+
+// Accuracy counting one right and one wrong answer up front, so an unpractised
+// form sits at 50% and a single answer doesn't swing it to 0 or 100%
+const smoothedAccuracy = ({ attempts = 0, correct = 0 } = {}) => (correct + 1) / (attempts + 2);
+
+const accuracy = ({ attempts, correct }) => (attempts ? Math.round((correct / attempts) * 100) / 100 : null);
+
+function addUp(stats) {
+  return stats.reduce((sum, s) => ({
+    attempts: sum.attempts + (s.attempts || 0),
+    correct: sum.correct + (s.correct || 0),
+    accentMistakes: sum.accentMistakes + (s.accentMistakes || 0)
+  }), { attempts: 0, correct: 0, accentMistakes: 0 });
+}
+
+async function userStats(userId) {
+  const stats = await ConjugationProgress.find({ user: userId }).lean();
+  return new Map(stats.map(s => [cellKey(s.tense, s.person), s]));
+}
+
+function tenseTotals(byCell) {
+  return new Map(TENSES.map(tense => [
+    tense,
+    addUp(CELLS.filter(c => c.tense === tense).map(c => byCell.get(cellKey(c.tense, c.person)) || {}))
+  ]));
+}
+
+const randomItem = (items) => items[Math.floor(Math.random() * items.length)];
+
+function weightedIndex(weights) {
+  let r = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Up to `count` prompts ({ conjugationId, verb, english, tense, person, pronoun }),
+ * optionally only from some tenses, never the same form twice. A form's chance
+ * grows with how often the user misses it and its tense.
+ */
+async function pickPrompts(userId, { count, tenses }) {
+  const [byCell, verbs] = await Promise.all([
+    userStats(userId),
+    Conjugation.find().select('verb english conjugations').lean()
+  ]);
+  const byTense = tenseTotals(byCell);
+
+  const pool = CELLS
+    .filter(cell => !tenses || !tenses.length || tenses.includes(cell.tense))
+    .map(cell => ({
+      ...cell,
+      verbs: verbs.filter(v => v.conjugations?.[cell.tense]?.[cell.person]),
+      weight: Math.max(MIN_WEIGHT, 1 - (
+        smoothedAccuracy(byCell.get(cellKey(cell.tense, cell.person))) + smoothedAccuracy(byTense.get(cell.tense))
+      ) / 2)
+    }))
+    .filter(cell => cell.verbs.length);
+
+  const prompts = [];
+  while (prompts.length < count && pool.length) {
+    const index = weightedIndex(pool.map(cell => cell.weight));
+    const cell = pool[index];
+    const verb = randomItem(cell.verbs);
+    cell.verbs = cell.verbs.filter(v => v !== verb);
+    if (!cell.verbs.length) pool.splice(index, 1);
+
+    prompts.push({
+      conjugationId: String(verb._id),
+      verb: verb.verb,
+      english: verb.english,
+      tense: cell.tense,
+      person: cell.person,
+      pronoun: PRONOUNS[cell.person]
+    });
+  }
+  return prompts;
+}
+
+const cellResult = (s) => ({
+  tense: s.tense,
+  person: s.person,
+  attempts: s.attempts,
+  correct: s.correct,
+  accentMistakes: s.accentMistakes,
+  accuracy: accuracy(s)
+});
+
+/**
+ * Check a typed form and count it towards the user's progress for that tense
+ * and person. Returns checkAnswer's result plus `progress`, or null when the
+ * verb has no such form.
+ */
+async function answerPrompt(userId, { conjugationId, tense, person, answer }) {
+  const conjugation = await Conjugation.findById(conjugationId).select('conjugations').lean();
+  const expected = conjugation?.conjugations?.[tense]?.[person];
+  if (!expected) return null;
+
+  const result = checkAnswer(answer, [expected]);
+  const progress = await ConjugationProgress.findOneAndUpdate(
+    { user: userId, tense, person },
+    {
+      $inc: { attempts: 1, correct: result.correct ? 1 : 0, accentMistakes: result.accentMismatch ? 1 : 0 },
+      $set: { lastPracticedAt: new Date() }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return { ...result, progress: cellResult(progress) };
+}
+
+/**
+ * The user's accuracy per tense, broken down by person, and the (up to three)
+ * practised tenses they do worst at.
+ */
+async function drillProgress(userId) {
+  const byCell = await userStats(userId);
+  const byTense = tenseTotals(byCell);
+
+  const tenses = TENSES.map(tense => {
+    const totals = byTense.get(tense);
+    return {
+      tense,
+      ...totals,
+      accuracy: accuracy(totals),
+      persons: CELLS
+        .filter(c => c.tense === tense)
+        .map(c => cellResult({ attempts: 0, correct: 0, accentMistakes: 0, ...byCell.get(cellKey(c.tense, c.person)), ...c }))
+    };
+  });
+
+  const weakest = tenses
+    .filter(t => t.attempts)
+    .sort((a, b) => smoothedAccuracy(a) - smoothedAccuracy(b))
+    .slice(0, 3)
+    .map(t => t.tense);
+
+  return { tenses, weakest };
+}
+
+module.exports = { PRONOUNS, pickPrompts, answerPrompt, drillProgress };
@@ -0,0 +1,132 @@
+// services/conjugator.js
+// Regular conjugation of Portuguese -ar/-er/-ir verbs for the eight tenses and
+// four persons stored on a Conjugation (Brazilian usage: você/vocês, nós
+// "falamos" in the past). Spelling changes that keep the stem's sound are
+// applied (ficar → fiquei, começar → comecei, conhecer → conheço, proteger →
+// protejo, erguer → ergo), as are the accents of -uir verbs (incluir →
+// incluímos). Anything else (ser, fazer, dormir → durmo) is irregular and only
+// shows up as a difference from what is generated here.
+
+// The tenses and persons of a Conjugation, in the order forms are listed
+const TENSES = ['present', 'past', 'imperfect', 'future', 'conditional', 'presentSubjunctive', 'imperfectSubjunctive', 'imperative'];
+const PERSONS = ['eu', 'voceEleEla', 'nos', 'vocesEles'];
+
+// Endings added to the stem (the infinitive without -ar/-er/-ir), in PERSONS order
+const STEM_ENDINGS = {
+  ar: {
+    present: ['o', 'a', 'amos', 'am'],
+    past: ['ei', 'ou', 'amos', 'aram'],
+    imperfect: ['ava', 'ava', 'ávamos', 'avam'],
+    presentSubjunctive: ['e', 'e', 'emos', 'em'],
+    imperfectSubjunctive: ['asse', 'asse', 'ássemos', 'assem']
+  },
+  er: {
+    present: ['o', 'e', 'emos', 'em'],
+    past: ['i', 'eu', 'emos', 'eram'],
+    imperfect: ['ia', 'ia', 'íamos', 'iam'],
+    presentSubjunctive: ['a', 'a', 'amos', 'am'],
+    imperfectSubjunctive: ['esse', 'esse', 'êssemos', 'essem']
+  },
+  ir: {
+    present: ['o', 'e', 'imos', 'em'],
+    past: ['i', 'iu', 'imos', 'iram'],
+    imperfect: ['ia', 'ia', 'íamos', 'iam'],
+    presentSubjunctive: ['a', 'a', 'amos', 'am'],
+    imperfectSubjunctive: ['isse', 'isse', 'íssemos', 'issem']
+  }
+};
+
+// Endings added to the whole infinitive
+const INFINITIVE_ENDINGS = {
+  future: ['ei', 'á', 'emos', 'ão'],
+  conditional: ['ia', 'ia', 'íamos', 'iam']
+};
+
+const VERB = /^([a-zà-ÿ]+)(ar|er|ir)$/;
+
+// The stem's last consonant keeps its sound before the ending's vowel:
+// -car/-gar/-çar before e, -cer/-ger/-guer (and -ir) before a and o
+function joinStem(stem, ending, group) {
+  if (group === 'ar' && /^[eé]/.test(ending)) {
+    if (stem.endsWith('c')) return `${stem.slice(0, -1)}qu${ending}`;
+    if (stem.endsWith('g')) return `${stem}u${ending}`;
+    if (stem.endsWith('ç')) return `${stem.slice(0, -1)}c${ending}`;
+  }
+  if (group !== 'ar' && /^[ao]/.test(ending)) {
+    if (stem.endsWith('gu')) return `${stem.slice(0, -1)}${ending}`;
+    if (stem.endsWith('c')) return `${stem.slice(0, -1)}ç${ending}`;
+    if (stem.endsWith('g')) return `${stem.slice(0, -1)}j${ending}`;
+  }
+  return stem + ending;
+}
+
+// -uir verbs (not -guir/-quir, where the u is silent): "inclui" for "inclue",
+// and a stressed i after the u takes an accent (incluímos, incluía, incluísse)
+function uirEnding(tense, index, ending) {
+  if (tense === 'present' && index === 1) return 'i';
+  if (ending.startsWith('i') && ending !== 'iu') return `í${ending.slice(1)}`;
+  return ending;
+}
+
+/**
+ * Regular forms of a verb: { present: { eu, voceEleEla, nos, vocesEles }, ... }
+ * with every tense in TENSES (the imperative has no "eu" form), or null for
+ * anything that isn't a single -ar/-er/-ir infinitive (pôr, lavar-se).
+ */
+function conjugate(verb) {
+  const match = VERB.exec(String(verb || '').trim().toLowerCase().normalize('NFC'));
+  if (!match) return null;
+  const [infinitive, stem, group] = match;
+  const uir = group === 'ir' && /[^gq]u$/.test(stem);
+
+  const forms = {};
+  for (const [tense, endings] of Object.entries(STEM_ENDINGS[group])) {
+    forms[tense] = endings.map((ending, i) => joinStem(stem, uir ? uirEnding(tense, i, ending) : ending, group));
+  }
+  for (const [tense, endings] of Object.entries(INFINITIVE_ENDINGS)) {
+    forms[tense] = endings.map(ending => infinitive + ending);
+  }
+  // Você/nós/vocês commands borrow the present subjunctive
+  forms.imperative = [undefined, ...forms.presentSubjunctive.slice(1)];
+
+  return Object.fromEntries(TENSES.map(tense => [
+    tense,
+    Object.fromEntries(PERSONS.map((person, i) => [person, forms[tense][i]]))
+  ]));
+}
+
+const sameForm = (a, b) => a.trim().toLowerCase().normalize('NFC') === b.trim().toLowerCase().normalize('NFC');
+
+/**
+ * Complete a verb's conjugations with the regular forms. Returns
+ * { conjugations, filled, irregular } where `filled` lists the "tense.person"
+ * forms that were missing and generated, and `irregular` the given forms that
+ * differ from the regular ones ({ tense, person, form, regular }).
+ * With fill: false (irregular verbs) missing forms stay missing; given ones are still compared.
+ * `filled` and `irregular` are null when the verb can't be conjugated.
+ */
+function completeConjugations(verb, conjugations = {}, { fill = true } = {}) {
+  const regular = conjugate(verb);
+  if (!regular) return { conjugations, filled: null, irregular: null };
+
+  const result = {};
+  const filled = [];
+  const irregular = [];
+  for (const tense of TENSES) {
+    result[tense] = {};
+    for (const person of PERSONS) {
+      const form = conjugations[tense]?.[person];
+      const expected = regular[tense][person];
+      if (form) {
+        result[tense][person] = form;
+        if (expected && !sameForm(form, expected)) irregular.push({ tense, person, form, regular: expected });
+      } else if (expected && fill) {
+        result[tense][person] = expected;
+        filled.push(`${tense}.${person}`);
+      }
+    }
+  }
+  return { conjugations: result, filled, irregular };
+}
+
+module.exports = { TENSES, PERSONS, conjugate, completeConjugations };
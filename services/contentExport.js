@@ -0,0 +1,207 @@
+// services/contentExport.js
+// Admin exports of the hand-maintained content collections, one row per
+// document, streamed as CSV or as sheets of an XLSX workbook. Nested data is
+// flattened into readable columns: tenses become "present.eu", repeated items
+// get numbered columns ("paragraphs.2.english") and lists of strings share one
+// cell split by " | " (the format the word import reads).
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { createArrayCsvStringifier } = require('csv-writer');
+const Word = require('../models/Word');
+const Conjugation = require('../models/Conjugation');
+const Story = require('../models/Story');
+const Test = require('../models/Test');
+const GrammarLesson = require('../models/GrammarLesson');
+const ImagePrompt = require('../models/ImagePrompt');
+const { TENSES, PERSONS } = require('./conjugator');
+
+const LIST_SEPARATOR = ' | ';
+// Longest text Excel accepts in a cell (base64 images can be longer)
+const EXCEL_CELL_LIMIT = 32767;
+const EXCEL_DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+// Columns are 'path' (dot path into the document), 'path[]' (list of strings,
+// one cell), { path, header } to rename, or { repeat: 'path', fields } for an
+// array of objects, numbered up to the longest array in the collection.
+const COLLECTIONS = {
+  words: {
+    sheet: 'Words',
+    model: Word,
+    sort: { portuguese: 1 },
+    columns: ['_id', 'portuguese', 'english', 'group', 'examples[]', 'synonyms[]', 'imageUrl', 'createdAt']
+  },
+  conjugations: {
+    sheet: 'Conjugations',
+    model: Conjugation,
+    sort: { verb: 1 },
+    columns: [
+      '_id', 'verb', 'english', 'type', 'group',
+      ...TENSES.flatMap(tense => PERSONS.map(person => ({
+        path: `conjugations.${tense}.${person}`,
+        header: `${tense}.${person}`
+      }))),
+      'example.portuguese', 'example.english', 'notes', 'createdAt'
+    ]
+  },
+  stories: {
+    sheet: 'Stories',
+    model: Story,
+    sort: { createdAt: 1 },
+    columns: [
+      '_id', 'title', 'description', 'category', 'difficulty',
+      { repeat: 'paragraphs', fields: ['portuguese', 'english'] },
+      'createdAt', 'updatedAt'
+    ]
+  },
+  tests: {
+    sheet: 'Tests',
+    model: Test,
+    sort: { createdAt: 1 },
+    columns: [
+      '_id', 'title', 'description', 'type', 'estimatedTime', 'storyId', 'questionCount',
+      { repeat: 'questions', fields: ['question', 'options[]', 'correctAnswer', 'explanation'] },
+      'createdAt', 'updatedAt'
+    ]
+  },
+  grammar: {
+    sheet: 'Grammar lessons',
+    model: GrammarLesson,
+    sort: { order: 1 },
+    columns: [
+      '_id', 'title', 'description', 'category', 'difficulty', 'order', 'content',
+      { repeat: 'examples', fields: ['portuguese', 'english', 'explanation'] },
+      { repeat: 'exercises', fields: ['type', 'question', 'options[]', 'correctAnswer', 'explanation'] },
+      'relatedWords[]', 'createdAt', 'updatedAt'
+    ]
+  },
+  'image-prompts': {
+    sheet: 'Image prompts',
+    model: ImagePrompt,
+    sort: { word: 1 },
+    columns: ['_id', 'word', 'category', 'difficulty', 'isActive', 'imageUrl', 'createdAt']
+  }
+};
+
+const COLLECTION_NAMES = Object.keys(COLLECTIONS);
+
+// ---- columns ----
+
+const isRepeat = (spec) => typeof spec === 'object' && 'repeat' in spec;
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+function column(spec) {
+  const { path, header } = typeof spec === 'string' ? { path: spec } : spec;
+  const list = path.endsWith('[]');
+  const key = list ? path.slice(0, -2) : path;
+  return {
+    header: header || key,
+    get: (doc) => {
+      const value = valueAt(doc, key);
+      return list && Array.isArray(value) ? value.map(String).join(LIST_SEPARATOR) : value;
+    }
+  };
+}
+
+// Longest array for each repeated field, so every row gets the same columns
+async function repeatCounts({ model, columns }) {
+  const repeats = columns.filter(isRepeat).map(spec => spec.repeat);
+  if (!repeats.length) return {};
+
+  const [counts] = await model.aggregate([{
+    $group: {
+      _id: null,
+      ...Object.fromEntries(repeats.map(path => [path, { $max: { $size: { $ifNull: [`$${path}`, []] } } }]))
+    }
+  }]);
+  return counts || {};
+}
+
+// [{ header, get(doc) }] for a collection
+async function buildColumns(collection) {
+  const counts = await repeatCounts(collection);
+  return collection.columns.flatMap(spec => {
+    if (!isRepeat(spec)) return [column(spec)];
+
+    const fields = spec.fields.map(column);
+    const columns = [];
+    for (let i = 0; i < (counts[spec.repeat] || 0); i++) {
+      for (const field of fields) {
+        columns.push({
+          header: `${spec.repeat}.${i + 1}.${field.header}`,
+          get: (doc) => {
+            const item = valueAt(doc, spec.repeat)?.[i];
+            return item === undefined ? undefined : field.get(item);
+          }
+        });
+      }
+    }
+    return columns;
+  });
+}
+
+const documents = ({ model, sort }) => model.find().sort(sort).lean().cursor();
+
+// ---- cells ----
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && !value._bsontype) return JSON.stringify(value);
+  return String(value);
+}
+
+function xlsxCell(value) {
+  if (value == null) return null;
+  if (value instanceof Date || typeof value === 'number' || typeof value === 'boolean') return value;
+  const text = csvCell(value);
+  return text.length > EXCEL_CELL_LIMIT ? `(${text.length} characters, too long for a cell; use the CSV export)` : text;
+}
+
+// ---- writers ----
+
+/**
+ * Stream one collection as CSV to a writable (the response). A byte-order
+ * mark goes first so Excel reads the accents correctly.
+ */
+async function writeCsv(name, out) {
+  const collection = COLLECTIONS[name];
+  const columns = await buildColumns(collection);
+  const stringifier = createArrayCsvStringifier({ header: columns.map(c => c.header) });
+
+  out.write('\uFEFF' + stringifier.getHeaderString());
+  for await (const doc of documents(collection)) {
+    const line = stringifier.stringifyRecords([columns.map(c => csvCell(c.get(doc)))]);
+    if (!out.write(line)) await once(out, 'drain');
+  }
+  out.end();
+}
+
+/**
+ * Stream an XLSX workbook with one sheet per named collection.
+ */
+async function writeXlsx(names, out) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+
+  for (const name of names) {
+    const collection = COLLECTIONS[name];
+    const columns = await buildColumns(collection);
+    const sheet = workbook.addWorksheet(collection.sheet, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    const header = sheet.addRow(columns.map(c => c.header));
+    header.font = { bold: true };
+    header.commit();
+
+    for await (const doc of documents(collection)) {
+      const row = sheet.addRow(columns.map(c => xlsxCell(c.get(doc))));
+      row.eachCell(cell => {
+        if (cell.value instanceof Date) cell.numFmt = EXCEL_DATE_FORMAT;
+      });
+      row.commit();
+    }
+    sheet.commit();
+  }
+  await workbook.commit();
+}
+
+module.exports = { COLLECTION_NAMES, buildColumns, writeCsv, writeXlsx };
@@ -0,0 +1,49 @@
+// services/dates.js
+// Calendar-day helpers for per-user time zones.
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// IANA time zone name, 'UTC' when missing, null when invalid
+function parseTimezone(tz) {
+  if (!tz) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch (e) {
+    return null;
+  }
+}
+
+// "YYYY-MM-DD" for an instant in the given time zone
+function localDate(date, timezone = 'UTC') {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+// Milliseconds the zone is ahead of UTC at a given instant
+function timezoneOffset(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// { start, end } instants of the local calendar day containing `now`
+function dayBounds(now = new Date(), timezone = 'UTC') {
+  const midnightUtc = new Date(`${localDate(now, timezone)}T00:00:00.000Z`);
+  const start = new Date(midnightUtc.getTime() - timezoneOffset(midnightUtc, timezone));
+  return { start, end: new Date(start.getTime() + ONE_DAY) };
+}
+
+module.exports = { ONE_DAY, parseTimezone, localDate, dayBounds };
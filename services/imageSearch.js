@@ -1,13 +1,13 @@
-const axios = require('axios');
-
-const searchImages = async (query) => {
-  try {
-    // For now, return a placeholder image
-    return `https://via.placeholder.com/300x200?text=${encodeURIComponent(query)}`;
-  } catch (error) {
-    console.error('Image search error:', error);
-    return null;
-  }
-};
-
+const logger = require('./logger');
+
+const searchImages = async (query) => {
+  try {
+    // For now, return a placeholder image
+    return `https://via.placeholder.com/300x200?text=${encodeURIComponent(query)}`;
+  } catch (error) {
+    logger.error('Image search error', error);
+    return null;
+  }
+};
+
 module.exports = { searchImages };
\ No newline at end of file
@@ -0,0 +1,62 @@
+// services/logger.js
+// Structured logging: one JSON object per line with time, level and message.
+// Lines written while handling a request also carry its requestId (see
+// middleware/requestContext.js). LOG_LEVEL picks the minimum level
+// (debug, info, warn, error or silent; default info).
+//
+//   logger.info('MongoDB connected');
+//   logger.warn('Login lockout', { ip, account });
+//   logger.error('Error saving story', err);   // stack trace included
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  out.stack = err.stack;
+  return out;
+}
+
+// Extra arguments are Errors (logged as `err`) or objects of fields
+function write(level, message, extras) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message, ...context.getStore() };
+  for (const extra of extras) {
+    if (extra instanceof Error) entry.err = serializeError(extra);
+    else if (extra && typeof extra === 'object') Object.assign(entry, extra);
+    else if (extra !== undefined) entry.detail = extra;
+  }
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (e) {
+    // Circular or otherwise unserializable fields: keep the basics
+    line = JSON.stringify({ time: entry.time, level, msg: message, requestId: entry.requestId, err: entry.err });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Run fn with fields (e.g. { requestId }) added to every line logged inside it,
+ * including from async work it starts.
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  LEVELS,
+  withContext,
+  debug: (message, ...extras) => write('debug', message, extras),
+  info: (message, ...extras) => write('info', message, extras),
+  warn: (message, ...extras) => write('warn', message, extras),
+  error: (message, ...extras) => write('error', message, extras)
+};
@@ -0,0 +1,190 @@
+// services/loginLimiter/index.js
+// Brute-force protection for login endpoints. Failed attempts are counted per
+// IP and per account; crossing the limit locks that key, and each further
+// lockout doubles the lock time. Locked requests get 429 with Retry-After.
+const SecurityEvent = require('../../models/SecurityEvent');
+const { createMemoryStore } = require('./memoryStore');
+const logger = require('../logger');
+
+const ONE_MINUTE = 60 * 1000;
+
+const DEFAULT_POLICY = {
+  account: { maxFailures: 5, baseLockMs: ONE_MINUTE },
+  ip: { maxFailures: 20, baseLockMs: 5 * ONE_MINUTE },
+  maxLockMs: 60 * ONE_MINUTE,
+  // How long failures (and the lockout count) are remembered
+  memoryMs: 24 * 60 * ONE_MINUTE
+};
+
+/**
+ * createLoginLimiter({ store?, policy?, onLockout? })
+ * onLockout(event) is called with { scope, keyType, ip, account, failures, lockouts, lockedUntil }.
+ */
+function createLoginLimiter({ store = createMemoryStore(), policy = DEFAULT_POLICY, onLockout = () => {} } = {}) {
+  const keysFor = (scope, ip, account) => [
+    { keyType: 'ip', key: `login:${scope}:ip:${ip}` },
+    ...(account ? [{ keyType: 'account', key: `login:${scope}:account:${account}` }] : [])
+  ];
+
+  const emptyRecord = () => ({ failures: 0, lockouts: 0, lockedUntil: 0 });
+
+  // Seconds until every key is unlocked, or 0
+  async function retryAfter(scope, ip, account, now = Date.now()) {
+    let until = 0;
+    for (const { key } of keysFor(scope, ip, account)) {
+      const record = await store.get(key);
+      if (record && record.lockedUntil > now) until = Math.max(until, record.lockedUntil);
+    }
+    return until ? Math.ceil((until - now) / 1000) : 0;
+  }
+
+  // Give back reserved attempts (a success, or another key turned the request away)
+  async function release(keys) {
+    for (const key of keys) {
+      await store.update(key, record => {
+        const next = record || emptyRecord();
+        next.failures = Math.max(0, next.failures - 1);
+        return next;
+      }, policy.memoryMs);
+    }
+  }
+
+  /**
+   * Count an attempt as failed before the password is checked, so requests
+   * sent in parallel can't all get past the limit; recordSuccess gives it
+   * back. Resolves to 0, or the seconds to wait when the request is refused
+   * (locked, or the attempts in flight already use up the allowance).
+   */
+  async function reserveAttempt(scope, ip, account, now = Date.now()) {
+    const reserved = [];
+    for (const { keyType, key } of keysFor(scope, ip, account)) {
+      let blockedUntil = 0;
+      await store.update(key, record => {
+        const next = record || emptyRecord();
+        if (next.lockedUntil > now) blockedUntil = next.lockedUntil;
+        else if (next.failures >= policy[keyType].maxFailures) blockedUntil = now + 1000;
+        else next.failures += 1;
+        return next;
+      }, policy.memoryMs);
+
+      if (blockedUntil) {
+        await release(reserved);
+        return Math.ceil((blockedUntil - now) / 1000);
+      }
+      reserved.push(key);
+    }
+    return 0;
+  }
+
+  // A reserved attempt failed: lock the keys whose failures reached the limit
+  async function recordFailure(scope, ip, account, now = Date.now()) {
+    for (const { keyType, key } of keysFor(scope, ip, account)) {
+      const { maxFailures, baseLockMs } = policy[keyType];
+      let locked = null;
+      await store.update(key, record => {
+        const next = record || emptyRecord();
+        if (next.failures >= maxFailures && next.lockedUntil <= now) {
+          const lockMs = Math.min(baseLockMs * 2 ** next.lockouts, policy.maxLockMs);
+          locked = { failures: next.failures, lockouts: next.lockouts + 1, lockedUntil: now + lockMs };
+          next.lockouts += 1;
+          next.lockedUntil = now + lockMs;
+          next.failures = 0;
+        }
+        return next;
+      }, policy.memoryMs);
+
+      if (locked) {
+        await Promise.resolve(onLockout({
+          scope,
+          keyType,
+          ip,
+          account,
+          failures: locked.failures,
+          lockouts: locked.lockouts,
+          lockedUntil: new Date(locked.lockedUntil)
+        })).catch(err => logger.error('Login lockout audit error', err));
+      }
+    }
+  }
+
+  // A successful login clears the account's record; the IP gets its reserved attempt back
+  async function recordSuccess(scope, ip, account) {
+    await release([`login:${scope}:ip:${ip}`]);
+    if (account) await store.delete(`login:${scope}:account:${account}`);
+  }
+
+  /**
+   * Express middleware for a login route. `scope` separates learner and admin
+   * logins; `accountField` is the body field naming the account.
+   * The handler reports the outcome with req.loginAttempt.failed() / .succeeded();
+   * an attempt that reports neither (e.g. a server error) stays counted as failed.
+   */
+  function middleware(scope, accountField, { errorKey = 'error' } = {}) {
+    return async (req, res, next) => {
+      try {
+        const ip = req.ip || 'unknown';
+        const raw = req.body?.[accountField];
+        const account = typeof raw === 'string' && raw.trim() ? raw.trim().toLowerCase() : null;
+
+        const wait = await reserveAttempt(scope, ip, account);
+        if (wait > 0) {
+          res.set('Retry-After', String(wait));
+          return res.status(429).json({
+            [errorKey]: 'Too many failed login attempts. Please try again later.',
+            retryAfter: wait
+          });
+        }
+
+        req.loginAttempt = {
+          failed: () => recordFailure(scope, ip, account),
+          succeeded: () => recordSuccess(scope, ip, account)
+        };
+        next();
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  return { retryAfter, reserveAttempt, recordFailure, recordSuccess, middleware };
+}
+
+// Lockouts go to the log and the SecurityEvent audit collection
+function auditLockout(event) {
+  logger.warn('Login lockout', {
+    scope: event.scope,
+    keyType: event.keyType,
+    ip: event.ip,
+    account: event.account,
+    lockedUntil: event.lockedUntil
+  });
+  return SecurityEvent.create({ type: 'login_lockout', ...event });
+}
+
+let limiter = null;
+
+// The shared limiter, created on first use with the in-memory store
+function getLoginLimiter() {
+  if (!limiter) limiter = createLoginLimiter({ onLockout: auditLockout });
+  return limiter;
+}
+
+// Swap the shared limiter, e.g. createLoginLimiter({ store: redisStore, onLockout: auditLockout })
+function setLoginLimiter(custom) {
+  limiter = custom;
+}
+
+// Route middleware that always uses the current shared limiter
+function loginRateLimit(scope, accountField, options) {
+  return (req, res, next) => getLoginLimiter().middleware(scope, accountField, options)(req, res, next);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  createLoginLimiter,
+  createMemoryStore,
+  auditLockout,
+  getLoginLimiter,
+  setLoginLimiter,
+  loginRateLimit
+};
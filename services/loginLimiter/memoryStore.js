@@ -0,0 +1,54 @@
+// services/loginLimiter/memoryStore.js
+// Default store for the login limiter: a Map in this process.
+// A shared store (e.g. Redis) only needs the same four async methods:
+//   get(key) -> value | null, set(key, value, ttlMs), delete(key),
+//   update(key, fn, ttlMs) -> value: stores fn(current value | null), atomically
+//   (no other write to the key in between, e.g. a Lua script in Redis)
+const SWEEP_EVERY = 1000;
+
+function createMemoryStore() {
+  const entries = new Map();
+  let writes = 0;
+
+  // Drop expired entries so sprayed usernames can't grow the map forever
+  function sweep(now = Date.now()) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      writes += 1;
+      if (writes % SWEEP_EVERY === 0) sweep();
+    },
+    // Synchronous between the read and the write, so it is atomic here
+    async update(key, fn, ttlMs) {
+      const entry = entries.get(key);
+      const value = fn(entry && entry.expiresAt > Date.now() ? entry.value : null);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      writes += 1;
+      if (writes % SWEEP_EVERY === 0) sweep();
+      return value;
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    sweep,
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,15 @@
+// services/mailer/console.js
+// Prints messages to the server log instead of sending them.
+const logger = require('../logger');
+
+function createTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      logger.info('Mail (console transport)', { to: message.to, subject: message.subject, text: message.text });
+      return {};
+    }
+  };
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,21 @@
+// services/mailer/file.js
+// Writes each message to MAIL_DIR (default ./mail-outbox) as JSON, for local development.
+const fs = require('fs/promises');
+const path = require('path');
+
+function createTransport(env = process.env) {
+  const dir = path.resolve(env.MAIL_DIR || 'mail-outbox');
+
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+module.exports = { createTransport };
@@ -0,0 +1,42 @@
+// services/mailer/index.js
+// Pluggable mail delivery. MAIL_TRANSPORT picks the transport:
+// smtp, file or console (the default). Each transport exposes send(message).
+const smtp = require('./smtp');
+const file = require('./file');
+const consoleTransport = require('./console');
+
+const TRANSPORTS = { smtp, file, console: consoleTransport };
+const DEFAULT_TRANSPORT = 'console';
+
+let transport = null;
+
+function createMailer(name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (use one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return factory.createTransport(process.env);
+}
+
+// The shared transport, created on first use
+function getMailer() {
+  if (!transport) transport = createMailer();
+  return transport;
+}
+
+// Swap the transport (e.g. a test double); null goes back to the configured one
+function setMailer(custom) {
+  transport = custom;
+}
+
+/**
+ * Send { to, subject, text, html? } from MAIL_FROM.
+ */
+function sendMail(message) {
+  return getMailer().send({
+    from: process.env.MAIL_FROM || 'Portuguese Learning <no-reply@localhost>',
+    ...message
+  });
+}
+
+module.exports = { TRANSPORTS, createMailer, getMailer, setMailer, sendMail };
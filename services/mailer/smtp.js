@@ -0,0 +1,23 @@
+// services/mailer/smtp.js
+// Sends mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+const nodemailer = require('nodemailer');
+
+function createTransport(env = process.env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+module.exports = { createTransport };
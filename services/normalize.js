@@ -0,0 +1,28 @@
+// services/normalize.js
+// Text folding helpers for accent-insensitive lookups and case-insensitive
+// spelling comparisons.
+
+// Strip diacritics (á→a, ç→c, ô→o), lowercase and collapse whitespace
+function foldDiacritics(text) {
+  if (typeof text !== 'string') return '';
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Key stored on each Word so "avo" finds both "avó" and "avô"
+const toLookupKey = (text) => foldDiacritics(text);
+
+// Two words are the same word when they are spelled alike ignoring case only:
+// "Avó" and "avó" are, "avó" and "avô" are not. SPELLING_COLLATION does this in
+// queries, toSpellingKey in memory.
+const SPELLING_COLLATION = { locale: 'pt', strength: 2 };
+const toSpellingKey = (text) => String(text).normalize('NFC').toLowerCase().trim();
+
+// Escape user input before it is used inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { foldDiacritics, toLookupKey, SPELLING_COLLATION, toSpellingKey, escapeRegex };
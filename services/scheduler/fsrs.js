@@ -0,0 +1,94 @@
+// services/scheduler/fsrs.js
+// FSRS (v4.5) stability/difficulty model with the published default weights.
+const W = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+const REQUEST_RETENTION = 0.9;
+const MAX_INTERVAL = 36500;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 0-5 quality -> FSRS rating 1 (again), 2 (hard), 3 (good), 4 (easy)
+function toRating(quality) {
+  if (quality < 3) return 1;
+  return quality - 1;
+}
+
+const initialStability = (rating) => W[rating - 1];
+const initialDifficulty = (rating) => clamp(W[4] - (rating - 3) * W[5], 1, 10);
+
+function nextDifficulty(d, rating) {
+  const next = d - W[6] * (rating - 3);
+  return clamp(W[7] * initialDifficulty(4) + (1 - W[7]) * next, 1, 10);
+}
+
+const retrievability = (elapsedDays, stability) => Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+
+function recallStability(d, s, r, rating) {
+  const hardPenalty = rating === 2 ? W[15] : 1;
+  const easyBonus = rating === 4 ? W[16] : 1;
+  return s * (Math.exp(W[8]) * (11 - d) * Math.pow(s, -W[9]) *
+    (Math.exp(W[10] * (1 - r)) - 1) * hardPenalty * easyBonus + 1);
+}
+
+function forgetStability(d, s, r) {
+  return W[11] * Math.pow(d, -W[12]) * (Math.pow(s + 1, W[13]) - 1) * Math.exp(W[14] * (1 - r));
+}
+
+function intervalFor(stability) {
+  const days = stability / FACTOR * (Math.pow(REQUEST_RETENTION, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL);
+}
+
+// Cards scheduled by SM-2 have no stability/difficulty yet: derive them from interval/ease
+function seedFromSm2(entry) {
+  return {
+    stability: Math.max(entry.interval, 0.5),
+    difficulty: clamp(10 - (entry.ease - 1.3) / 1.7 * 9, 1, 10)
+  };
+}
+
+// Keep `ease` meaningful for clients and for switching back to SM-2
+const easeFromDifficulty = (d) => Math.round((1.3 + (10 - d) / 9 * 1.7) * 100) / 100;
+
+function review(entry, quality, now) {
+  const rating = toRating(quality);
+  let stability;
+  let difficulty;
+  let lapses = entry.lapses || 0;
+
+  if (!entry.reviewCount) {
+    stability = initialStability(rating);
+    difficulty = initialDifficulty(rating);
+  } else {
+    const seeded = typeof entry.stability === 'number' && typeof entry.difficulty === 'number'
+      ? { stability: entry.stability, difficulty: entry.difficulty }
+      : seedFromSm2(entry);
+    const lastReviewed = entry.lastReviewed ? new Date(entry.lastReviewed) : now;
+    const elapsedDays = Math.max(0, (now - lastReviewed) / ONE_DAY);
+    const r = retrievability(elapsedDays, seeded.stability);
+
+    difficulty = nextDifficulty(seeded.difficulty, rating);
+    if (rating === 1) {
+      stability = forgetStability(seeded.difficulty, seeded.stability, r);
+      lapses += 1;
+    } else {
+      stability = recallStability(seeded.difficulty, seeded.stability, r, rating);
+    }
+  }
+
+  return {
+    stability: Math.round(stability * 10000) / 10000,
+    difficulty: Math.round(difficulty * 10000) / 10000,
+    ease: easeFromDifficulty(difficulty),
+    interval: rating === 1 ? 1 : intervalFor(stability),
+    repetitions: rating === 1 ? 0 : (entry.repetitions || 0) + 1,
+    lapses
+  };
+}
+
+module.exports = { name: 'fsrs', review };
@@ -0,0 +1,142 @@
+// services/scheduler/index.js
+// Pluggable spaced-repetition schedulers. Each algorithm exposes
+// review(entry, quality, now) and returns the updated scheduling fields.
+const sm2 = require('./sm2');
+const fsrs = require('./fsrs');
+
+const ALGORITHMS = { sm2, fsrs };
+const DEFAULT_ALGORITHM = 'sm2';
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const ONE_MINUTE = 60 * 1000;
+
+// Intra-day steps in minutes, before a card graduates to day intervals
+const DEFAULT_LEARNING_STEPS = [1, 10];
+const DEFAULT_RELEARNING_STEPS = [10];
+
+// The original three-button UI, mapped onto the 0-5 SM-2 scale
+const LEGACY_GRADES = { easy: 5, medium: 3, hard: 2 };
+
+function getScheduler(name) {
+  return ALGORITHMS[name] || ALGORITHMS[DEFAULT_ALGORITHM];
+}
+
+// Accepts { quality: 0-5 } or the legacy { difficulty: 'easy'|'medium'|'hard' }; null if neither is valid
+function parseGrade({ quality, difficulty } = {}) {
+  if (quality !== undefined && quality !== null && quality !== '') {
+    const q = Number(quality);
+    return Number.isInteger(q) && q >= 0 && q <= 5 ? q : null;
+  }
+  return LEGACY_GRADES[difficulty] ?? null;
+}
+
+// Fill defaults for entries written before a field existed
+function normalizeEntry(entry = {}) {
+  return {
+    ease: typeof entry.ease === 'number' ? entry.ease : 2.5,
+    interval: typeof entry.interval === 'number' ? entry.interval : 0,
+    reviewCount: entry.reviewCount || 0,
+    lastReviewed: entry.lastReviewed || null,
+    nextReview: entry.nextReview || null,
+    repetitions: entry.repetitions,
+    lapses: entry.lapses || 0,
+    stability: entry.stability,
+    difficulty: entry.difficulty,
+    state: entry.state || (entry.reviewCount ? 'review' : 'new'),
+    step: entry.step || 0
+  };
+}
+
+/**
+ * Apply one review to a progress entry and return the new entry.
+ * The result keeps the { ease, interval, reviewCount, lastReviewed, nextReview } shape.
+ */
+function scheduleReview(entry, quality, { algorithm = DEFAULT_ALGORITHM, now = new Date() } = {}) {
+  const prev = normalizeEntry(entry);
+  const scheduled = getScheduler(algorithm).review(prev, quality, now);
+
+  return {
+    ...prev,
+    ...scheduled,
+    reviewCount: prev.reviewCount + 1,
+    lastReviewed: now,
+    nextReview: new Date(now.getTime() + scheduled.interval * ONE_DAY)
+  };
+}
+
+// Step to wait on after a grade: again restarts, hard and good advance, easy
+// skips the remaining steps. Hard must advance too: legacy "medium" answers and
+// typed answers with accent slips are graded 3, and would otherwise never
+// leave learning.
+function nextStep(current, quality, steps) {
+  if (quality < 3) return 0;
+  if (quality === 5) return steps.length;
+  return current + 1;
+}
+
+/**
+ * Apply one review including learning and relearning steps.
+ * New cards go through `learningSteps` (minutes) before the algorithm schedules
+ * them in days; a failed review card goes through `relearningSteps`.
+ */
+function applyReview(entry, quality, {
+  algorithm = DEFAULT_ALGORITHM,
+  now = new Date(),
+  learningSteps = DEFAULT_LEARNING_STEPS,
+  relearningSteps = DEFAULT_RELEARNING_STEPS
+} = {}) {
+  const prev = normalizeEntry(entry);
+  const atStep = (state, step, steps) => ({
+    ...prev,
+    reviewCount: prev.reviewCount + 1,
+    lastReviewed: now,
+    nextReview: new Date(now.getTime() + steps[step] * ONE_MINUTE),
+    state,
+    step
+  });
+
+  if (prev.state === 'new' || prev.state === 'learning') {
+    // A new card has just been shown at step 0, so "good" moves it on to step 1
+    const step = nextStep(prev.state === 'new' ? 0 : prev.step, quality, learningSteps);
+    if (step < learningSteps.length) return atStep('learning', step, learningSteps);
+
+    // Graduate: the algorithm schedules it as a first successful review
+    const graduated = scheduleReview({ ...prev, reviewCount: 0, repetitions: 0, lastReviewed: null }, quality, { algorithm, now });
+    return { ...graduated, reviewCount: prev.reviewCount + 1, state: 'review', step: 0 };
+  }
+
+  if (prev.state === 'relearning') {
+    const step = nextStep(prev.step, quality, relearningSteps);
+    if (step < relearningSteps.length) return atStep('relearning', step, relearningSteps);
+
+    // The lapse already shortened the interval; resume it from now
+    return {
+      ...prev,
+      reviewCount: prev.reviewCount + 1,
+      lastReviewed: now,
+      nextReview: new Date(now.getTime() + prev.interval * ONE_DAY),
+      state: 'review',
+      step: 0
+    };
+  }
+
+  const scheduled = scheduleReview(prev, quality, { algorithm, now });
+  if (quality >= 3 || !relearningSteps.length) return { ...scheduled, state: 'review', step: 0 };
+  return {
+    ...scheduled,
+    nextReview: new Date(now.getTime() + relearningSteps[0] * ONE_MINUTE),
+    state: 'relearning',
+    step: 0
+  };
+}
+
+module.exports = {
+  ALGORITHMS: Object.keys(ALGORITHMS),
+  DEFAULT_ALGORITHM,
+  DEFAULT_LEARNING_STEPS,
+  DEFAULT_RELEARNING_STEPS,
+  getScheduler,
+  parseGrade,
+  normalizeEntry,
+  scheduleReview,
+  applyReview
+};
@@ -0,0 +1,39 @@
+// services/scheduler/sm2.js
+// SuperMemo-2 with a 0-5 quality grade (< 3 counts as a lapse).
+const MIN_EASE = 1.3;
+
+// Older progress entries predate `repetitions`; infer it from the interval
+function currentRepetitions(entry) {
+  if (typeof entry.repetitions === 'number') return entry.repetitions;
+  if (!entry.interval) return 0;
+  return entry.interval < 6 ? 1 : 2;
+}
+
+function review(entry, quality) {
+  let ease = entry.ease;
+  let interval = entry.interval;
+  let repetitions = currentRepetitions(entry);
+  let lapses = entry.lapses || 0;
+
+  if (quality >= 3) {
+    if (repetitions === 0) interval = 1;
+    else if (repetitions === 1) interval = 6;
+    else interval = Math.round(interval * ease);
+    repetitions += 1;
+  } else {
+    if (repetitions > 0) lapses += 1;
+    repetitions = 0;
+    interval = 1;
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses
+  };
+}
+
+module.exports = { name: 'sm2', review };
@@ -0,0 +1,192 @@
+// services/scrabbleBoard.js
+// Board helpers shared by the Scrabble move generator and the game routes.
+
+const BOARD_SIZE = 15;
+const CENTER = Math.floor(BOARD_SIZE / 2);
+const BLANK = '?';
+
+// Letters that exist as tiles in a Portuguese set (no K, W, Y; Ç is its own tile)
+const ALPHABET = 'ABCDEFGHIJLMNOPQRSTUVXZÇ'.split('');
+
+// Fold a dictionary word to the letters that can be laid on the board:
+// accents are dropped (tiles have none) but Ç is kept as its own letter.
+function toScrabbleLetters(word) {
+  if (typeof word !== 'string') return null;
+  const folded = word
+    .trim()
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/C\u0327/g, 'Ç')
+    .replace(/[\u0300-\u036f]/g, '');
+  return /^[A-ZÇ]+$/.test(folded) ? folded : null;
+}
+
+// Read a single board cell. Cells may be null/'' (empty), a letter string,
+// or an object such as { letter: 'A', blank: true }.
+function readCell(cell) {
+  if (!cell) return null;
+  const raw = typeof cell === 'string' ? cell : cell.letter;
+  const letter = toScrabbleLetters(raw || '');
+  if (!letter || letter.length !== 1) return null;
+  return { letter, blank: typeof cell === 'object' && !!(cell.blank || cell.isBlank) };
+}
+
+// Convert the submitted board into a square grid of { letter, blank } | null
+function normalizeBoard(board) {
+  const size = Array.isArray(board) && board.length ? board.length : BOARD_SIZE;
+  const grid = [];
+  for (let r = 0; r < size; r++) {
+    const row = Array.isArray(board) && Array.isArray(board[r]) ? board[r] : [];
+    grid.push(Array.from({ length: size }, (_, c) => readCell(row[c])));
+  }
+  return grid;
+}
+
+// Convert submitted rack tiles (array or string) into an array of letters, '?' for blanks
+function normalizeRack(tiles) {
+  const list = typeof tiles === 'string' ? tiles.split('') : Array.isArray(tiles) ? tiles : [];
+  const rack = [];
+  for (const tile of list) {
+    const raw = tile && typeof tile === 'object' ? tile.letter : tile;
+    if (raw === undefined || raw === null || ['?', '_', '*', '', ' '].includes(raw)) {
+      rack.push(BLANK);
+      continue;
+    }
+    const letter = toScrabbleLetters(String(raw));
+    if (letter && letter.length === 1) rack.push(letter);
+  }
+  return rack;
+}
+
+// Convert submitted placed tiles into [{ row, col, letter, blank }]; null if any tile is malformed
+function normalizePlacement(tiles, size = BOARD_SIZE) {
+  if (!Array.isArray(tiles) || !tiles.length) return null;
+  const placement = [];
+  for (const tile of tiles) {
+    const row = Number(tile && tile.row);
+    const col = Number(tile && tile.col);
+    const letter = toScrabbleLetters(String((tile && tile.letter) || ''));
+    if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= size || col >= size) return null;
+    if (!letter || letter.length !== 1) return null;
+    placement.push({ row, col, letter, blank: !!(tile.blank || tile.isBlank) });
+  }
+  return placement;
+}
+
+function isBoardEmpty(grid) {
+  return grid.every(row => row.every(cell => !cell));
+}
+
+function transpose(grid) {
+  return grid[0].map((_, c) => grid.map(row => row[c]));
+}
+
+// Direction of a placement; a single tile counts as 'across' unless it only forms a vertical word
+function placementDirection(grid, tiles) {
+  if (tiles.length > 1) return tiles.every(t => t.row === tiles[0].row) ? 'across' : 'down';
+  const { row, col } = tiles[0];
+  const hasHorizontal = (col > 0 && grid[row][col - 1]) || (col < grid.length - 1 && grid[row][col + 1]);
+  const hasVertical = (row > 0 && grid[row - 1][col]) || (row < grid.length - 1 && grid[row + 1][col]);
+  return !hasHorizontal && hasVertical ? 'down' : 'across';
+}
+
+// Read the full line of tiles through (row, col) in a direction, mixing board
+// tiles with the newly placed ones. Returns null for single letters.
+function readLine(grid, placedAt, row, col, direction) {
+  const [dr, dc] = direction === 'across' ? [0, 1] : [1, 0];
+  const at = (r, c) => placedAt.get(`${r},${c}`) || (grid[r] && grid[r][c]);
+  const inBounds = (r, c) => r >= 0 && c >= 0 && r < grid.length && c < grid.length;
+
+  let r = row;
+  let c = col;
+  while (inBounds(r - dr, c - dc) && at(r - dr, c - dc)) { r -= dr; c -= dc; }
+
+  const cells = [];
+  for (; inBounds(r, c) && at(r, c); r += dr, c += dc) {
+    const key = `${r},${c}`;
+    const tile = at(r, c);
+    cells.push({ row: r, col: c, letter: tile.letter, blank: !!tile.blank, isNew: placedAt.has(key) });
+  }
+  if (cells.length < 2) return null;
+  return {
+    word: cells.map(cell => cell.letter).join(''),
+    row: cells[0].row,
+    col: cells[0].col,
+    direction,
+    cells
+  };
+}
+
+// Returns why a placement is illegal on the grid, or null when its geometry is legal
+function placementError(grid, tiles) {
+  if (!tiles.length) return 'No tiles placed';
+
+  const seen = new Set();
+  for (const t of tiles) {
+    const key = `${t.row},${t.col}`;
+    if (seen.has(key)) return 'Two tiles placed on the same square';
+    if (grid[t.row][t.col]) return 'Square is already occupied';
+    seen.add(key);
+  }
+
+  const sameRow = tiles.every(t => t.row === tiles[0].row);
+  const sameCol = tiles.every(t => t.col === tiles[0].col);
+  if (!sameRow && !sameCol) return 'Tiles must be placed in a single row or column';
+
+  // Every square between the first and last tile must be covered
+  const positions = tiles.map(t => (sameRow ? t.col : t.row));
+  const first = Math.min(...positions);
+  const last = Math.max(...positions);
+  for (let i = first; i <= last; i++) {
+    const [r, c] = sameRow ? [tiles[0].row, i] : [i, tiles[0].col];
+    if (!grid[r][c] && !seen.has(`${r},${c}`)) return 'Tiles must form a single continuous word';
+  }
+
+  if (isBoardEmpty(grid)) {
+    if (!seen.has(`${CENTER},${CENTER}`)) return 'The first word must cover the centre square';
+    if (tiles.length < 2) return 'The first word must have at least two letters';
+    return null;
+  }
+
+  const size = grid.length;
+  const touches = tiles.some(({ row, col }) =>
+    (row > 0 && grid[row - 1][col]) || (row < size - 1 && grid[row + 1][col]) ||
+    (col > 0 && grid[row][col - 1]) || (col < size - 1 && grid[row][col + 1]));
+  return touches ? null : 'Tiles must connect to a word already on the board';
+}
+
+/**
+ * Every word formed by placing `tiles` on `grid`: the main word along the
+ * placement direction first, then one cross word per new tile where it forms one.
+ */
+function wordsFormed(grid, tiles) {
+  if (!tiles.length) return [];
+  const placedAt = new Map(tiles.map(t => [`${t.row},${t.col}`, t]));
+  const direction = placementDirection(grid, tiles);
+  const crossDirection = direction === 'across' ? 'down' : 'across';
+
+  const words = [];
+  const main = readLine(grid, placedAt, tiles[0].row, tiles[0].col, direction);
+  if (main) words.push(main);
+  for (const tile of tiles) {
+    const cross = readLine(grid, placedAt, tile.row, tile.col, crossDirection);
+    if (cross) words.push(cross);
+  }
+  return words;
+}
+
+module.exports = {
+  BOARD_SIZE,
+  CENTER,
+  BLANK,
+  ALPHABET,
+  toScrabbleLetters,
+  normalizeBoard,
+  normalizeRack,
+  normalizePlacement,
+  isBoardEmpty,
+  transpose,
+  placementDirection,
+  placementError,
+  wordsFormed
+};
@@ -0,0 +1,86 @@
+// services/scrabbleDictionary.js
+// Letter trie built from the Word collection, used for Scrabble move generation.
+const Word = require('../models/Word');
+const { toScrabbleLetters } = require('./scrabbleBoard');
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+class TrieNode {
+  constructor() {
+    this.children = new Map();
+    this.terminal = false;
+    this.words = []; // original dictionary spellings (with accents) ending here
+  }
+}
+
+class Trie {
+  constructor() {
+    this.root = new TrieNode();
+    this.size = 0;
+  }
+
+  insert(word) {
+    const letters = toScrabbleLetters(word);
+    if (!letters || letters.length < 2) return false;
+
+    let node = this.root;
+    for (const letter of letters) {
+      if (!node.children.has(letter)) node.children.set(letter, new TrieNode());
+      node = node.children.get(letter);
+    }
+    if (!node.terminal) this.size++;
+    node.terminal = true;
+    if (!node.words.includes(word.trim())) node.words.push(word.trim());
+    return true;
+  }
+
+  // Walk the trie along a string of board letters; null when no such prefix
+  find(letters) {
+    let node = this.root;
+    for (const letter of letters) {
+      node = node.children.get(letter);
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  has(letters) {
+    const node = this.find(letters);
+    return !!(node && node.terminal);
+  }
+
+  static fromWords(words) {
+    const trie = new Trie();
+    words.forEach(word => trie.insert(word));
+    return trie;
+  }
+}
+
+let cached = null;
+let cachedAt = 0;
+let pending = null;
+
+// Build (or reuse) the trie for the whole Word collection
+async function getDictionaryTrie() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+  if (pending) return pending;
+
+  pending = Word.find({}, 'portuguese').lean()
+    .then(docs => {
+      cached = Trie.fromWords(docs.map(d => d.portuguese));
+      cachedAt = Date.now();
+      return cached;
+    })
+    .finally(() => {
+      pending = null;
+    });
+  return pending;
+}
+
+// Call after words are added/removed so the next move sees them
+function invalidateDictionaryCache() {
+  cached = null;
+  cachedAt = 0;
+}
+
+module.exports = { Trie, getDictionaryTrie, invalidateDictionaryCache };
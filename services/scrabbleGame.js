@@ -0,0 +1,177 @@
+// services/scrabbleGame.js
+// Turn rules for persistent Scrabble games. Functions mutate a ScrabbleGame
+// document in memory; the caller saves it. Illegal moves return { error }.
+const {
+  BLANK,
+  normalizePlacement,
+  normalizeRack,
+  placementError,
+  wordsFormed
+} = require('./scrabbleBoard');
+const { RACK_SIZE, letterValue, scoreOnGrid } = require('./scrabbleScoring');
+const { createBag, drawTiles, returnTiles } = require('./scrabbleTileBag');
+const { findBestMove } = require('./scrabbleMoves');
+
+// Game ends after this many consecutive passes/exchanges (three rounds of two players)
+const MAX_SCORELESS_TURNS = 6;
+
+// Highest-scoring legal move for a rack, as used by /api/scrabble/ai-move
+function chooseAIMove(grid, rack, trie) {
+  return findBestMove(grid, rack, trie, move => scoreOnGrid(grid, move.tiles).total);
+}
+
+// Initial document fields for a new game: a fresh bag and a full rack per player
+function newGameState({ owner, playerName, vsAI = true }) {
+  const bag = createBag();
+  const players = [{ user: owner, isAI: false, name: playerName || 'Player', rack: drawTiles(bag, RACK_SIZE) }];
+  if (vsAI) players.push({ user: null, isAI: true, name: 'Computer', rack: drawTiles(bag, RACK_SIZE) });
+  return { owner, players, bag, currentPlayer: 0 };
+}
+
+// Remove played letters from a rack; blanks come out as '?'. Null if the rack lacks them.
+function takeFromRack(rack, letters) {
+  const remaining = rack.slice();
+  for (const letter of letters) {
+    const idx = remaining.indexOf(letter);
+    if (idx === -1) return null;
+    remaining.splice(idx, 1);
+  }
+  return remaining;
+}
+
+const rackValue = (rack) => rack.reduce((sum, l) => sum + letterValue(l, l === BLANK), 0);
+
+function advanceTurn(game) {
+  game.currentPlayer = (game.currentPlayer + 1) % game.players.length;
+}
+
+// End-of-game adjustments: everyone loses their remaining tiles' value, and a
+// player who went out gains the total of the other racks.
+function finishGame(game, playerOut = null) {
+  let leftover = 0;
+  game.players.forEach((player, idx) => {
+    const value = rackValue(player.rack);
+    player.score -= value;
+    if (idx !== playerOut) leftover += value;
+  });
+  if (playerOut !== null) game.players[playerOut].score += leftover;
+
+  const best = Math.max(...game.players.map(p => p.score));
+  const leaders = game.players.map((p, idx) => (p.score === best ? idx : -1)).filter(idx => idx !== -1);
+  game.winner = leaders.length === 1 ? leaders[0] : null;
+  game.status = 'finished';
+}
+
+function endScorelessTurn(game) {
+  game.scorelessTurns += 1;
+  if (game.scorelessTurns >= MAX_SCORELESS_TURNS) finishGame(game);
+  else advanceTurn(game);
+}
+
+/**
+ * Whether a placement is a legal move on the grid: free, connected squares in
+ * one line, and every word formed in the dictionary. The rack is not checked.
+ * Returns { formed } (main word first) or { error, invalidWords? }.
+ */
+function checkPlacement(grid, placement, trie) {
+  const geometryError = placementError(grid, placement);
+  if (geometryError) return { error: geometryError };
+
+  const formed = wordsFormed(grid, placement);
+  const invalidWords = formed.map(w => w.word).filter(word => !trie.has(word));
+  if (!formed.length || invalidWords.length) {
+    return { error: 'Not a valid word', invalidWords };
+  }
+  return { formed };
+}
+
+/**
+ * Place tiles for the current player after validating geometry, rack and dictionary.
+ * Returns { breakdown } on success.
+ */
+function applyPlay(game, tiles, trie) {
+  const placement = normalizePlacement(tiles);
+  if (!placement) return { error: 'Tiles must be an array of { row, col, letter, blank }' };
+
+  const grid = game.toGrid();
+  const geometryError = placementError(grid, placement);
+  if (geometryError) return { error: geometryError };
+
+  const idx = game.currentPlayer;
+  const player = game.players[idx];
+  const remaining = takeFromRack(player.rack, placement.map(t => (t.blank ? BLANK : t.letter)));
+  if (!remaining) return { error: 'Those tiles are not on your rack' };
+
+  const check = checkPlacement(grid, placement, trie);
+  if (check.error) return check;
+  const { formed } = check;
+
+  const breakdown = scoreOnGrid(grid, placement);
+  const bag = game.bag.slice();
+  player.rack = remaining.concat(drawTiles(bag, RACK_SIZE - remaining.length));
+  player.score += breakdown.total;
+  game.bag = bag;
+  game.board.push(...placement);
+  game.moves.push({
+    player: idx,
+    type: 'play',
+    tiles: placement,
+    words: formed.map(w => w.word),
+    score: breakdown.total
+  });
+  game.scorelessTurns = 0;
+
+  if (!player.rack.length && !game.bag.length) finishGame(game, idx);
+  else advanceTurn(game);
+  return { breakdown };
+}
+
+// Swap tiles with the bag; only allowed while the bag still holds a full rack
+function applyExchange(game, tiles) {
+  if (game.bag.length < RACK_SIZE) return { error: 'Not enough tiles left in the bag to exchange' };
+
+  const letters = normalizeRack(tiles);
+  if (!letters.length) return { error: 'Choose at least one tile to exchange' };
+
+  const idx = game.currentPlayer;
+  const player = game.players[idx];
+  const remaining = takeFromRack(player.rack, letters);
+  if (!remaining) return { error: 'Those tiles are not on your rack' };
+
+  // Draw replacements before the old tiles go back into the bag
+  const bag = game.bag.slice();
+  player.rack = remaining.concat(drawTiles(bag, letters.length));
+  game.bag = returnTiles(bag, letters);
+  game.moves.push({ player: idx, type: 'exchange', exchanged: letters.length });
+  endScorelessTurn(game);
+  return {};
+}
+
+function applyPass(game) {
+  game.moves.push({ player: game.currentPlayer, type: 'pass' });
+  endScorelessTurn(game);
+  return {};
+}
+
+// Play computer turns until it is a human's turn or the game ends
+function playAITurns(game, trie) {
+  while (game.status === 'active' && game.players[game.currentPlayer].isAI) {
+    const rack = game.players[game.currentPlayer].rack.slice();
+    const move = chooseAIMove(game.toGrid(), rack, trie);
+
+    if (move && !applyPlay(game, move.tiles, trie).error) continue;
+    if (game.bag.length >= RACK_SIZE) applyExchange(game, rack);
+    else applyPass(game);
+  }
+}
+
+module.exports = {
+  MAX_SCORELESS_TURNS,
+  chooseAIMove,
+  newGameState,
+  checkPlacement,
+  applyPlay,
+  applyExchange,
+  applyPass,
+  playAITurns
+};
@@ -0,0 +1,247 @@
+// services/scrabbleMoves.js
+// Scrabble move generator (Appel & Jacobson): anchors + cross-checks + trie walk.
+const {
+  CENTER,
+  BLANK,
+  normalizeBoard,
+  normalizeRack,
+  isBoardEmpty,
+  transpose
+} = require('./scrabbleBoard');
+
+const countRack = (rack) => rack.reduce((counts, letter) => {
+  counts[letter] = (counts[letter] || 0) + 1;
+  return counts;
+}, {});
+
+// Contiguous letters above (r-1 upward) and below (r+1 downward) an empty square
+function verticalNeighbours(grid, r, c) {
+  let above = '';
+  for (let i = r - 1; i >= 0 && grid[i][c]; i--) above = grid[i][c].letter + above;
+  let below = '';
+  for (let i = r + 1; i < grid.length && grid[i][c]; i++) below += grid[i][c].letter;
+  return { above, below };
+}
+
+// For every empty square, the set of letters that form a valid vertical word
+// (null means the square is unconstrained because it has no vertical neighbours)
+function computeCrossChecks(grid, trie) {
+  return grid.map((row, r) => row.map((cell, c) => {
+    if (cell) return null;
+    const { above, below } = verticalNeighbours(grid, r, c);
+    if (!above && !below) return null;
+
+    const allowed = new Set();
+    const prefixNode = trie.find(above);
+    if (!prefixNode) return allowed;
+    for (const [letter, child] of prefixNode.children) {
+      let node = child;
+      for (const l of below) {
+        node = node.children.get(l);
+        if (!node) break;
+      }
+      if (node && node.terminal) allowed.add(letter);
+    }
+    return allowed;
+  }));
+}
+
+// Empty squares next to an existing tile; only the centre on an empty board
+function findAnchors(grid) {
+  if (isBoardEmpty(grid)) return [[CENTER, CENTER]];
+
+  const size = grid.length;
+  const anchors = [];
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      if (grid[r][c]) continue;
+      const touches = (r > 0 && grid[r - 1][c]) || (r < size - 1 && grid[r + 1][c]) ||
+        (c > 0 && grid[r][c - 1]) || (c < size - 1 && grid[r][c + 1]);
+      if (touches) anchors.push([r, c]);
+    }
+  }
+  return anchors;
+}
+
+// Generate every legal across-move on the grid; down moves are found by transposing
+function generateAcross(grid, rack, trie) {
+  const size = grid.length;
+  const crossChecks = computeCrossChecks(grid, trie);
+  const anchors = findAnchors(grid);
+  const anchorSet = new Set(anchors.map(([r, c]) => `${r},${c}`));
+  const counts = countRack(rack);
+  const moves = [];
+
+  const canPlace = (r, c, letter) => !crossChecks[r][c] || crossChecks[r][c].has(letter);
+
+  // Yield each (letter, fromBlank) the rack can supply for a child edge
+  function* rackOptions(letter) {
+    if (counts[letter] > 0) yield false;
+    if (counts[BLANK] > 0) yield true;
+  }
+
+  function take(letter, blank) {
+    counts[blank ? BLANK : letter]--;
+  }
+
+  function giveBack(letter, blank) {
+    counts[blank ? BLANK : letter]++;
+  }
+
+  function record(r, endCol, word, node, placed) {
+    if (!placed.length || word.length < 2) return;
+    moves.push({
+      row: r,
+      col: endCol - word.length,
+      word,
+      dictionaryWords: node.words.slice(),
+      tiles: placed.map(t => ({ ...t }))
+    });
+  }
+
+  function extendRight(r, c, anchorCol, word, node, placed) {
+    if (c >= size || !grid[r][c]) {
+      if (node.terminal && c > anchorCol) record(r, c, word, node, placed);
+    }
+    if (c >= size) return;
+
+    const cell = grid[r][c];
+    if (cell) {
+      const next = node.children.get(cell.letter);
+      if (next) extendRight(r, c + 1, anchorCol, word + cell.letter, next, placed);
+      return;
+    }
+
+    for (const [letter, child] of node.children) {
+      if (!canPlace(r, c, letter)) continue;
+      for (const blank of rackOptions(letter)) {
+        take(letter, blank);
+        placed.push({ row: r, col: c, letter, blank });
+        extendRight(r, c + 1, anchorCol, word + letter, child, placed);
+        placed.pop();
+        giveBack(letter, blank);
+      }
+    }
+  }
+
+  // Left parts sit on non-anchor empty squares, which have no cross-check constraint
+  function leftPart(r, anchorCol, partial, node, limit) {
+    const placed = partial.map((t, i) => ({
+      row: r,
+      col: anchorCol - partial.length + i,
+      letter: t.letter,
+      blank: t.blank
+    }));
+    extendRight(r, anchorCol, anchorCol, partial.map(t => t.letter).join(''), node, placed);
+    if (limit <= 0) return;
+
+    for (const [letter, child] of node.children) {
+      for (const blank of rackOptions(letter)) {
+        take(letter, blank);
+        partial.push({ letter, blank });
+        leftPart(r, anchorCol, partial, child, limit - 1);
+        partial.pop();
+        giveBack(letter, blank);
+      }
+    }
+  }
+
+  for (const [r, c] of anchors) {
+    if (c > 0 && grid[r][c - 1]) {
+      // Existing tiles to the left form a fixed prefix
+      let start = c;
+      while (start > 0 && grid[r][start - 1]) start--;
+      let prefix = '';
+      for (let i = start; i < c; i++) prefix += grid[r][i].letter;
+      const node = trie.find(prefix);
+      if (node) extendRight(r, c, c, prefix, node, []);
+    } else {
+      let limit = 0;
+      for (let i = c - 1; i >= 0 && !grid[r][i] && !anchorSet.has(`${r},${i}`); i--) limit++;
+      leftPart(r, c, [], trie.root, Math.min(limit, rack.length - 1));
+    }
+  }
+
+  return moves;
+}
+
+// Words formed perpendicular to the main word by each newly placed tile
+function crossWordsFor(grid, tiles, direction) {
+  const words = [];
+  for (const tile of tiles) {
+    const { row, col } = tile;
+    const [dr, dc] = direction === 'across' ? [1, 0] : [0, 1];
+    let r = row - dr;
+    let c = col - dc;
+    while (r >= 0 && c >= 0 && grid[r][c]) { r -= dr; c -= dc; }
+    r += dr; c += dc;
+
+    let word = '';
+    const startRow = r;
+    const startCol = c;
+    while (r < grid.length && c < grid.length && (grid[r][c] || (r === row && c === col))) {
+      word += (r === row && c === col) ? tile.letter : grid[r][c].letter;
+      r += dr; c += dc;
+    }
+    if (word.length > 1) words.push({ word, row: startRow, col: startCol });
+  }
+  return words;
+}
+
+/**
+ * Enumerate every legal placement of rack tiles on the board.
+ * Returns moves as { word, row, col, direction, tiles: [{ row, col, letter, blank }], crossWords }.
+ */
+function generateMoves(board, tiles, trie) {
+  const grid = normalizeBoard(board);
+  const rack = normalizeRack(tiles);
+  if (!rack.length) return [];
+
+  const across = generateAcross(grid, rack, trie).map(m => ({ ...m, direction: 'across' }));
+
+  const down = generateAcross(transpose(grid), rack, trie).map(m => ({
+    ...m,
+    row: m.col,
+    col: m.row,
+    direction: 'down',
+    tiles: m.tiles.map(t => ({ ...t, row: t.col, col: t.row }))
+  }));
+
+  // A tile that forms words both ways is found by both passes; keep one copy
+  const seen = new Set();
+  const moves = [];
+  for (const move of [...across, ...down]) {
+    const key = move.tiles
+      .map(t => `${t.row},${t.col},${t.letter},${t.blank ? 1 : 0}`)
+      .sort()
+      .join('|');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    moves.push({ ...move, crossWords: crossWordsFor(grid, move.tiles, move.direction) });
+  }
+  return moves;
+}
+
+/**
+ * Pick the highest-scoring move; `scoreMove(move)` returns a number.
+ * Returns null when there is no legal placement (the AI should pass or exchange).
+ */
+function findBestMove(board, tiles, trie, scoreMove) {
+  let best = null;
+  let bestScore = -Infinity;
+  for (const move of generateMoves(board, tiles, trie)) {
+    const score = scoreMove(move);
+    if (score > bestScore) {
+      best = move;
+      bestScore = score;
+    }
+  }
+  return best ? { ...best, score: bestScore } : null;
+}
+
+module.exports = {
+  computeCrossChecks,
+  findAnchors,
+  generateMoves,
+  findBestMove
+};
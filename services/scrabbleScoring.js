@@ -0,0 +1,128 @@
+// services/scrabbleScoring.js
+// Portuguese Scrabble scoring: tile values, premium squares, cross words and bingo.
+const {
+  BOARD_SIZE,
+  toScrabbleLetters,
+  normalizeBoard,
+  wordsFormed
+} = require('./scrabbleBoard');
+
+// Tile values from the Brazilian Portuguese set. Accented vowels are played
+// with the plain vowel tile, so they score as the plain vowel.
+const LETTER_VALUES = {
+  A: 1, E: 1, I: 1, O: 1, S: 1, U: 1, M: 1, R: 1, T: 1,
+  D: 2, L: 2, C: 2, P: 2,
+  N: 3, B: 3, Ç: 3,
+  F: 4, G: 4, H: 4, V: 4,
+  J: 5,
+  Q: 6,
+  X: 8,
+  Z: 8
+};
+
+const RACK_SIZE = 7;
+const BINGO_BONUS = 50;
+
+// Premium squares for the top-left quadrant of a 15x15 board; the rest is mirrored
+const QUADRANT_PREMIUMS = {
+  TW: [[0, 0], [0, 7], [7, 0]],
+  DW: [[1, 1], [2, 2], [3, 3], [4, 4], [7, 7]],
+  TL: [[1, 5], [5, 1], [5, 5]],
+  DL: [[0, 3], [2, 6], [3, 0], [3, 7], [6, 2], [6, 6], [7, 3]]
+};
+
+const PREMIUM_SQUARES = (() => {
+  const squares = new Map();
+  const last = BOARD_SIZE - 1;
+  for (const [premium, coords] of Object.entries(QUADRANT_PREMIUMS)) {
+    for (const [r, c] of coords) {
+      for (const [pr, pc] of [[r, c], [r, last - c], [last - r, c], [last - r, last - c]]) {
+        squares.set(`${pr},${pc}`, premium);
+      }
+    }
+  }
+  return squares;
+})();
+
+const LETTER_MULTIPLIERS = { DL: 2, TL: 3 };
+const WORD_MULTIPLIERS = { DW: 2, TW: 3 };
+
+function premiumAt(row, col, size = BOARD_SIZE) {
+  if (size !== BOARD_SIZE) return null;
+  return PREMIUM_SQUARES.get(`${row},${col}`) || null;
+}
+
+function letterValue(letter, blank = false) {
+  if (blank) return 0;
+  const folded = toScrabbleLetters(letter || '');
+  return (folded && LETTER_VALUES[folded]) || 0;
+}
+
+// Score a bare word with no board position (no premiums)
+function scoreWord(word) {
+  const letters = (toScrabbleLetters(word) || '').split('').filter(Boolean)
+    .map(letter => ({ letter, value: letterValue(letter) }));
+  const letterSum = letters.reduce((sum, l) => sum + l.value, 0);
+  return {
+    word: letters.map(l => l.letter).join(''),
+    letters,
+    letterSum,
+    wordMultiplier: 1,
+    score: letterSum
+  };
+}
+
+// Premiums only count on squares covered by a tile placed this turn
+function scoreFormedWord(formed, size) {
+  let letterSum = 0;
+  let wordMultiplier = 1;
+
+  const letters = formed.cells.map(cell => {
+    const premium = cell.isNew ? premiumAt(cell.row, cell.col, size) : null;
+    const base = letterValue(cell.letter, cell.blank);
+    const value = base * (LETTER_MULTIPLIERS[premium] || 1);
+    letterSum += value;
+    wordMultiplier *= WORD_MULTIPLIERS[premium] || 1;
+    return { ...cell, value, premium };
+  });
+
+  return {
+    word: formed.word,
+    row: formed.row,
+    col: formed.col,
+    direction: formed.direction,
+    letters,
+    letterSum,
+    wordMultiplier,
+    score: letterSum * wordMultiplier
+  };
+}
+
+/**
+ * Score tiles placed on an already-normalized grid.
+ * Returns { total, words: [...itemized words], bingo } where words[0] is the main word.
+ */
+function scoreOnGrid(grid, tiles) {
+  const words = wordsFormed(grid, tiles).map(formed => scoreFormedWord(formed, grid.length));
+  const bingo = tiles.length === RACK_SIZE ? BINGO_BONUS : 0;
+  return {
+    total: words.reduce((sum, w) => sum + w.score, 0) + bingo,
+    words,
+    bingo
+  };
+}
+
+function scorePlacement(board, tiles) {
+  return scoreOnGrid(normalizeBoard(board), tiles);
+}
+
+module.exports = {
+  LETTER_VALUES,
+  RACK_SIZE,
+  BINGO_BONUS,
+  premiumAt,
+  letterValue,
+  scoreWord,
+  scoreOnGrid,
+  scorePlacement
+};
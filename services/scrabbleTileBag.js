@@ -0,0 +1,45 @@
+// services/scrabbleTileBag.js
+// Portuguese (Brazilian) tile bag: 120 tiles including 3 blanks.
+const { BLANK } = require('./scrabbleBoard');
+
+const TILE_DISTRIBUTION = {
+  A: 14, E: 11, I: 10, O: 10, S: 8, U: 7, M: 6, R: 6, T: 5,
+  D: 5, L: 5, C: 4, P: 4,
+  N: 4, B: 3, Ç: 2,
+  F: 2, G: 2, H: 2, V: 2,
+  J: 2, Q: 1,
+  X: 1,
+  Z: 1,
+  [BLANK]: 3
+};
+
+// Fisher-Yates shuffle (in place)
+function shuffle(tiles) {
+  for (let i = tiles.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+  }
+  return tiles;
+}
+
+function createBag() {
+  const tiles = [];
+  for (const [letter, count] of Object.entries(TILE_DISTRIBUTION)) {
+    for (let i = 0; i < count; i++) tiles.push(letter);
+  }
+  return shuffle(tiles);
+}
+
+// Remove up to `count` tiles from the end of the bag and return them
+function drawTiles(bag, count) {
+  return bag.splice(Math.max(0, bag.length - count), count);
+}
+
+// Put tiles back and reshuffle (used for exchanges)
+function returnTiles(bag, tiles) {
+  bag.push(...tiles);
+  shuffle(bag);
+  return bag;
+}
+
+module.exports = { TILE_DISTRIBUTION, createBag, drawTiles, returnTiles };
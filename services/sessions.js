@@ -0,0 +1,109 @@
+// services/sessions.js
+// Short-lived access tokens (JWT) plus rotating refresh tokens stored in
+// models/RefreshToken. Revoking a session means revoking its refresh tokens;
+// access tokens simply run out after ACCESS_TOKEN_TTL.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: 'learner' },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Store a new refresh token and return the raw value (shown to the client once)
+async function createRefreshToken(userId, family, req) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * ONE_DAY),
+    userAgent: req?.get?.('user-agent'),
+    ip: req?.ip
+  });
+  return token;
+}
+
+/**
+ * Start a session for a user (login, register, password change).
+ * Returns { token, refreshToken, expiresIn }.
+ */
+async function issueSession(user, req) {
+  const refreshToken = await createRefreshToken(user._id, crypto.randomUUID(), req);
+  return { token: signAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+function revokeFamily(family) {
+  return RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+function revokeAllSessions(userId) {
+  return RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+/**
+ * Swap a refresh token for a new access/refresh pair.
+ * Returns { session, user } or { error } when the token is unknown, expired or revoked.
+ * Presenting an already-rotated token revokes its whole family (likely theft).
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+  if (stored.revokedAt) {
+    if (stored.replacedBy) await revokeFamily(stored.family);
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    await revokeFamily(stored.family);
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  const next = await createRefreshToken(user._id, stored.family, req);
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(next) } });
+
+  return {
+    user,
+    session: { token: signAccessToken(user), refreshToken: next, expiresIn: ACCESS_TOKEN_TTL }
+  };
+}
+
+// Log out one device: revoke every token from the same login
+async function revokeSession(refreshToken) {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return false;
+  await revokeFamily(stored.family);
+  return true;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
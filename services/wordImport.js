@@ -0,0 +1,291 @@
+// services/wordImport.js
+// Bulk vocabulary import from CSV, XLSX or an Anki deck. Each row is checked with the same
+// rules as POST /api/words and sorted into new, duplicate (same spelling
+// ignoring case, already saved or earlier in the file) and
+// invalid. Committing inserts the new rows in batches. Every run leaves a
+// per-row result CSV in exports/word-imports, kept for RESULT_MAX_AGE_DAYS.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const { createObjectCsvWriter } = require('csv-writer');
+const Word = require('../models/Word');
+const { checkObject } = require('../middleware/validate');
+const { listOf } = require('../middleware/upload');
+const { wordFields } = require('../schemas/words');
+const { toLookupKey, SPELLING_COLLATION, toSpellingKey } = require('./normalize');
+const { searchImages } = require('./imageSearch');
+const anki = require('./anki');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const EXTENSIONS = [...SPREADSHEET_EXTENSIONS, ...anki.EXTENSIONS];
+const MAX_ROWS = Number(process.env.WORD_IMPORT_MAX_ROWS) || 5000;
+const BATCH_SIZE = 500;
+// Several examples or synonyms share one cell: "Bom dia! | Bom dia, Ana."
+const LIST_SEPARATOR = '|';
+const RESULTS_DIR = path.join(__dirname, '..', 'exports', 'word-imports');
+const RESULT_FILE_NAME = /^[\w-]+\.csv$/;
+const RESULT_MAX_AGE_DAYS = Number(process.env.WORD_IMPORT_RESULT_DAYS) || 7;
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// ---- reading the upload ----
+
+function readCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    Readable.from([buffer])
+      .pipe(csv())
+      .on('data', record => records.push(record))
+      .on('end', () => resolve(records))
+      .on('error', reject);
+  });
+}
+
+// First worksheet only; the header is row 1
+function readXlsx(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+}
+
+// Header names are matched ignoring case, spacing and a byte-order mark
+const columnName = (header) => String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+
+// Anki notes become rows through the field template; `row` is the note's
+// position in the deck
+async function readAnkiRows(file, template) {
+  const { notes, error } = await anki.readNotes(file);
+  if (error) return { error };
+  return {
+    records: notes
+      .map((note, i) => ({ row: i + 1, ...anki.noteToCells(note, template) }))
+      .filter(record => record.portuguese || record.english)
+  };
+}
+
+async function readSpreadsheetRows(file, ext) {
+  let raw;
+  try {
+    raw = ext === '.xlsx' ? readXlsx(file.buffer) : await readCsv(file.buffer);
+  } catch (err) {
+    return { error: 'Could not read the file' };
+  }
+
+  const records = [];
+  raw.forEach((record, i) => {
+    const cells = {};
+    for (const [header, value] of Object.entries(record)) {
+      cells[columnName(header)] = typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+    }
+    if (!Object.values(cells).some(Boolean)) return; // blank line
+    // SheetJS remembers where each row was; CSV rows follow the header line
+    records.push({ row: record.__rowNum__ !== undefined ? record.__rowNum__ + 1 : i + 2, ...cells });
+  });
+
+  if (records.length && (!('portuguese' in records[0]) || !('english' in records[0]))) {
+    return { error: 'The file needs "portuguese" and "english" columns' };
+  }
+  return { records };
+}
+
+/**
+ * Read an uploaded file ({ originalname, buffer }) into
+ * { records: [{ row, portuguese, english, group, examples, synonyms }] } or { error }.
+ * `row` is the spreadsheet row number (or Anki note number), so admins can find the line.
+ * `template` maps Anki note fields to word fields (see services/anki).
+ */
+async function readRows(file, { template } = {}) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (!EXTENSIONS.includes(ext)) return { error: `Upload a ${listOf(EXTENSIONS)} file` };
+
+  const { records, error } = SPREADSHEET_EXTENSIONS.includes(ext)
+    ? await readSpreadsheetRows(file, ext)
+    : await readAnkiRows(file, template);
+  if (error) return { error };
+
+  if (!records.length) return { error: 'The file has no rows to import' };
+  if (records.length > MAX_ROWS) return { error: `The file has more than ${MAX_ROWS} rows; split it up` };
+  return { records };
+}
+
+// ---- dry run ----
+
+const splitList = (cell) => (cell
+  ? cell.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean)
+  : undefined);
+
+/**
+ * Check every record and look for duplicates. Returns one result per record:
+ * { row, status: 'new'|'duplicate'|'invalid', message, word } where `word` is
+ * the cleaned word for new and duplicate rows.
+ */
+async function analyzeRows(records) {
+  const rows = records.map(record => {
+    const { value, errors } = checkObject(wordFields, {
+      portuguese: record.portuguese,
+      english: record.english,
+      group: record.group || undefined,
+      examples: splitList(record.examples),
+      synonyms: splitList(record.synonyms)
+    });
+    if (errors.length) {
+      return {
+        row: record.row,
+        status: 'invalid',
+        message: errors.map(e => `${e.field} ${e.message}`).join('; '),
+        word: { portuguese: record.portuguese, english: record.english, group: record.group }
+      };
+    }
+    return { row: record.row, status: 'new', message: '', word: value };
+  });
+
+  const candidates = rows.filter(r => r.status === 'new');
+  const spellings = [...new Set(candidates.map(r => r.word.portuguese))];
+  const existing = await Word.find({ portuguese: { $in: spellings } })
+    .collation(SPELLING_COLLATION)
+    .select('portuguese')
+    .lean();
+  const saved = new Map(existing.map(word => [toSpellingKey(word.portuguese), word]));
+
+  const firstRowFor = new Map();
+  for (const r of candidates) {
+    const key = toSpellingKey(r.word.portuguese);
+    if (saved.has(key)) {
+      r.status = 'duplicate';
+      r.message = `already exists as "${saved.get(key).portuguese}"`;
+    } else if (firstRowFor.has(key)) {
+      r.status = 'duplicate';
+      r.message = `same word as row ${firstRowFor.get(key)}`;
+    } else {
+      firstRowFor.set(key, r.row);
+    }
+  }
+  return rows;
+}
+
+// ---- commit ----
+
+/**
+ * Insert the rows marked 'new', BATCH_SIZE at a time. Each becomes 'created'
+ * (with wordId) or 'failed' (e.g. someone added the same word meanwhile).
+ */
+async function commitRows(rows) {
+  const pending = rows.filter(r => r.status === 'new');
+
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const batch = pending.slice(start, start + BATCH_SIZE);
+    const docs = await Promise.all(batch.map(async r => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...r.word,
+      lookupKey: toLookupKey(r.word.portuguese),
+      imageUrl: await searchImages(r.word.portuguese)
+    })));
+
+    // Rows were validated above, so write error indexes line up with `docs`
+    let failures = new Map();
+    try {
+      await Word.insertMany(docs, { ordered: false });
+    } catch (err) {
+      if (!err.writeErrors) throw err;
+      failures = new Map(err.writeErrors.map(e => [e.index, e]));
+    }
+
+    batch.forEach((r, i) => {
+      const failure = failures.get(i);
+      if (failure) {
+        r.status = 'failed';
+        r.message = failure.code === 11000 ? 'already exists' : 'could not be saved';
+      } else {
+        r.status = 'created';
+        r.wordId = String(docs[i]._id);
+      }
+    });
+  }
+  return rows;
+}
+
+// ---- reporting ----
+
+function summarize(rows) {
+  const summary = { total: rows.length, new: 0, duplicate: 0, invalid: 0, created: 0, failed: 0 };
+  for (const r of rows) summary[r.status] += 1;
+  return summary;
+}
+
+// What the API returns for each row
+const rowResult = (r) => ({
+  row: r.row,
+  status: r.status,
+  message: r.message,
+  portuguese: r.word.portuguese,
+  english: r.word.english,
+  wordId: r.wordId || null
+});
+
+/**
+ * Write the per-row results as CSV; resolves to the file name
+ * (see resultFilePath to read it back).
+ */
+async function writeResultFile(rows, { committed }) {
+  await fs.promises.mkdir(RESULTS_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `${stamp}-${committed ? 'commit' : 'dry-run'}-${crypto.randomBytes(4).toString('hex')}.csv`;
+
+  const writer = createObjectCsvWriter({
+    path: path.join(RESULTS_DIR, name),
+    header: ['row', 'status', 'message', 'portuguese', 'english', 'group', 'examples', 'wordId']
+      .map(id => ({ id, title: id }))
+  });
+  await writer.writeRecords(rows.map(r => ({
+    ...rowResult(r),
+    group: r.word.group || '',
+    examples: Array.isArray(r.word.examples) ? r.word.examples.join(` ${LIST_SEPARATOR} `) : '',
+    wordId: r.wordId || ''
+  })));
+  return name;
+}
+
+// Absolute path of a result file, or null for names we didn't write
+function resultFilePath(name) {
+  if (!RESULT_FILE_NAME.test(name)) return null;
+  const filePath = path.join(RESULTS_DIR, name);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Delete result files older than RESULT_MAX_AGE_DAYS; returns how many
+async function purgeResultFiles(now = new Date()) {
+  const names = await fs.promises.readdir(RESULTS_DIR).catch(err => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  const cutoff = now.getTime() - RESULT_MAX_AGE_DAYS * ONE_DAY;
+
+  let purged = 0;
+  for (const name of names.filter(n => RESULT_FILE_NAME.test(n))) {
+    const filePath = path.join(RESULTS_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (mtimeMs < cutoff) {
+      await fs.promises.rm(filePath, { force: true });
+      purged += 1;
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  EXTENSIONS,
+  MAX_ROWS,
+  BATCH_SIZE,
+  readRows,
+  analyzeRows,
+  commitRows,
+  summarize,
+  rowResult,
+  writeResultFile,
+  resultFilePath,
+  purgeResultFiles
+};
@@ -0,0 +1,57 @@
+// tests/helpers/app.js
+// A fresh app per test file plus shortcuts for getting logged in.
+const request = require('supertest');
+const { createApp } = require('../../app');
+const Admin = require('../../models/Admin');
+const { setMailer } = require('../../services/mailer');
+const { createLoginLimiter, setLoginLimiter } = require('../../services/loginLimiter');
+const db = require('./db');
+
+// Mail sent during the current test, newest last
+const sentMail = [];
+
+/**
+ * Call in a describe block: connects the in-memory database, swaps in a mail
+ * catcher and a fresh login limiter, and clears data after each test.
+ * Returns () => supertest agent for the app.
+ */
+function useTestApp() {
+  const app = createApp();
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+  beforeEach(() => {
+    sentMail.length = 0;
+    setMailer({ name: 'test', send: async (message) => { sentMail.push(message); return {}; } });
+    setLoginLimiter(createLoginLimiter());
+  });
+  afterEach(db.clear);
+
+  return () => request(app);
+}
+
+let userCount = 0;
+
+// Register a learner; resolves to { token, refreshToken, user, credentials }
+async function registerUser(api, overrides = {}) {
+  userCount += 1;
+  const credentials = {
+    name: `Learner ${userCount}`,
+    email: `learner${userCount}@example.com`,
+    password: 'secret123',
+    ...overrides
+  };
+  const res = await api().post('/api/auth/register').send(credentials).expect(200);
+  return { ...res.body, credentials };
+}
+
+// Create an admin account and log in; resolves to the admin token
+async function adminToken(api) {
+  await Admin.create({ username: 'admin', password: 'admin-secret' });
+  const res = await api().post('/api/admin/login').send({ username: 'admin', password: 'admin-secret' }).expect(200);
+  return res.body.token;
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = { useTestApp, registerUser, adminToken, bearer, sentMail };
@@ -0,0 +1,29 @@
+// tests/helpers/db.js
+// In-memory MongoDB for integration tests. The server binary is downloaded
+// once into ~/.cache/mongodb-binaries (or set MONGOMS_SYSTEM_BINARY to a local
+// mongod); after that the suite runs offline.
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongod = null;
+
+async function connect() {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  // Unique indexes must exist before the tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+}
+
+// Empty every collection between tests
+async function clear() {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+async function disconnect() {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+  mongod = null;
+}
+
+module.exports = { connect, clear, disconnect };
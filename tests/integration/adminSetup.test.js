@@ -0,0 +1,54 @@
+const Admin = require('../../models/Admin');
+const { useTestApp, adminToken, bearer } = require('../helpers/app');
+
+const setup = (overrides = {}) => ({ username: 'first', password: 'admin-secret', ...overrides });
+
+describe('admin setup', () => {
+  const api = useTestApp();
+
+  afterEach(() => {
+    delete process.env.ADMIN_SETUP_TOKEN;
+  });
+
+  test('only one of several parallel requests creates the first admin', async () => {
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(username =>
+      api().post('/api/admin/setup').send(setup({ username }))
+    ));
+
+    expect(results.map(r => r.status).sort()).toEqual([201, 403, 403, 403]);
+    expect(await Admin.countDocuments()).toBe(1);
+  });
+
+  test('the setup token works once, even after its admin is removed', async () => {
+    process.env.ADMIN_SETUP_TOKEN = 'one-time-token';
+    const admin = bearer(await adminToken(api));
+
+    const created = await api().post('/api/admin/setup')
+      .set('X-Setup-Token', 'one-time-token')
+      .send(setup({ username: 'second' }));
+    expect(created.status).toBe(201);
+
+    expect((await api().delete(`/api/admin/admins/${created.body.admin.id}`).set(admin)).status).toBe(200);
+
+    const again = await api().post('/api/admin/setup')
+      .set('X-Setup-Token', 'one-time-token')
+      .send(setup({ username: 'third' }));
+    expect(again.status).toBe(403);
+    expect(again.body.message).toBe('This setup token has already been used');
+  });
+
+  test('a taken username leaves the token unused', async () => {
+    process.env.ADMIN_SETUP_TOKEN = 'one-time-token';
+    await adminToken(api);
+
+    const taken = await api().post('/api/admin/setup')
+      .set('X-Setup-Token', 'one-time-token')
+      .send(setup({ username: 'admin' }));
+    expect(taken.status).toBe(409);
+
+    const created = await api().post('/api/admin/setup')
+      .set('X-Setup-Token', 'one-time-token')
+      .send(setup({ username: 'second' }));
+    expect(created.status).toBe(201);
+  });
+});
@@ -0,0 +1,74 @@
+const JSZip = require('jszip');
+const initSqlJs = require('sql.js');
+const Word = require('../../models/Word');
+const CardState = require('../../models/CardState');
+const { readApkg } = require('../../services/anki/apkg');
+const { useTestApp, registerUser, adminToken, bearer } = require('../helpers/app');
+
+describe('Anki export and import', () => {
+  const api = useTestApp();
+  let token;
+  let words;
+
+  beforeEach(async () => {
+    ({ token } = await registerUser(api));
+    words = await Word.create([
+      { portuguese: 'casa', english: 'house', group: 'Home', examples: ['A casa é grande.'] },
+      { portuguese: 'pão', english: 'bread', group: 'Food' }
+    ]);
+  });
+
+  const exportDeck = (query = '') => api().get(`/api/flashcards/export/anki${query}`).set(bearer(token))
+    .buffer(true).responseType('blob');
+
+  test('exports the chosen groups with one card per direction', async () => {
+    const res = await exportDeck('?group=Home');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/\.apkg"$/);
+
+    const { notes } = await readApkg(res.body);
+    expect(notes).toEqual([expect.objectContaining({
+      fields: { Portuguese: 'casa', English: 'house', Examples: 'A casa é grande.', Synonyms: '' },
+      deck: 'Portuguese::Home',
+      tags: ['Home']
+    })]);
+  });
+
+  test('carries each card\'s schedule over', async () => {
+    await api().post('/api/flashcards/review').set(bearer(token)).send({ wordId: words[1].id, quality: 5 });
+
+    const res = await exportDeck('?direction=recognition');
+    const zip = await JSZip.loadAsync(res.body);
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(await zip.file('collection.anki2').async('uint8array'));
+    const [{ values }] = db.exec('SELECT n.sfld, c.type, c.ivl, c.factor, c.reps FROM cards c JOIN notes n ON n.id = c.nid ORDER BY n.sfld');
+    db.close();
+
+    const card = await CardState.findOne({ word: words[1]._id });
+    expect(values).toEqual([
+      ['casa', 0, 0, 0, 0],
+      ['pão', 2, Math.max(1, Math.round(card.interval)), Math.round(card.ease * 1000), 1]
+    ]);
+  });
+
+  test('rejects unknown directions', async () => {
+    const res = await exportDeck('?direction=sideways');
+    expect(res.status).toBe(400);
+  });
+
+  test('an exported deck imports back through a template', async () => {
+    const deck = await exportDeck();
+    await Word.deleteMany({ portuguese: 'pão' });
+
+    const admin = bearer(await adminToken(api));
+    const res = await api().post('/api/words/import?commit=true').set(admin)
+      .field('template[group]', '{{Tags}}')
+      .field('template[examples]', '{{Examples}}')
+      .attach('file', deck.body, 'deck.apkg');
+
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toMatchObject({ total: 2, created: 1, duplicate: 1 });
+    expect(await Word.findOne({ portuguese: 'pão' })).toMatchObject({ english: 'bread', group: 'Food' });
+  });
+});
@@ -0,0 +1,93 @@
+const { setMailer } = require('../../services/mailer');
+const { useTestApp, registerUser, bearer, sentMail } = require('../helpers/app');
+
+describe('auth', () => {
+  const api = useTestApp();
+
+  test('registers a learner and sends a verification email', async () => {
+    const { token, refreshToken, user } = await registerUser(api, { email: 'Ana@Example.com' });
+
+    expect(token).toEqual(expect.any(String));
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(user).toMatchObject({ email: 'ana@example.com', emailVerified: false });
+    expect(user).not.toHaveProperty('password');
+
+    // The mail goes out without holding up the response
+    await new Promise(resolve => setImmediate(resolve));
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('ana@example.com');
+  });
+
+  test('rejects a second account with the same email', async () => {
+    await registerUser(api, { email: 'ana@example.com' });
+    const res = await api().post('/api/auth/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('User already exists.');
+  });
+
+  test('reports every invalid field at once', async () => {
+    const res = await api().post('/api/auth/register').send({ email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.errors.map(e => e.field).sort()).toEqual(['email', 'name', 'password']);
+  });
+
+  test('logs in with the right password only', async () => {
+    const { credentials } = await registerUser(api);
+
+    const ok = await api().post('/api/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+    expect(ok.status).toBe(200);
+    expect(ok.body.user.email).toBe(credentials.email);
+
+    const bad = await api().post('/api/auth/login')
+      .send({ email: credentials.email, password: 'wrong-password' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toBe('Invalid credentials.');
+  });
+
+  test('returns the current user for a valid token', async () => {
+    const { token, credentials } = await registerUser(api);
+
+    const me = await api().get('/api/auth/me').set(bearer(token));
+    expect(me.status).toBe(200);
+    expect(me.body.email).toBe(credentials.email);
+
+    expect((await api().get('/api/auth/me')).status).toBe(401);
+    expect((await api().get('/api/auth/me').set(bearer('garbage'))).status).toBe(403);
+  });
+
+  test('rotates refresh tokens and refuses a used one', async () => {
+    const { refreshToken } = await registerUser(api);
+
+    const first = await api().post('/api/auth/refresh').send({ refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(refreshToken);
+
+    const reused = await api().post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+  });
+
+  test('answers a password reset request the same way for unknown emails and failing mail', async () => {
+    await registerUser(api, { email: 'ana@example.com' });
+    await new Promise(resolve => setImmediate(resolve));
+    sentMail.length = 0;
+    const request = (email) => api().post('/api/auth/password-reset/request').send({ email });
+
+    const known = await request('ana@example.com');
+    const unknown = await request('nobody@example.com');
+    expect(known.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(sentMail.map(mail => mail.to)).toEqual(['ana@example.com']);
+
+    setMailer({ name: 'broken', send: async () => { throw new Error('SMTP down'); } });
+    const failed = await request('ana@example.com');
+    expect(failed.status).toBe(200);
+    expect(failed.body).toEqual(known.body);
+  });
+});
@@ -0,0 +1,77 @@
+const Conjugation = require('../../models/Conjugation');
+const ConjugationProgress = require('../../models/ConjugationProgress');
+const { conjugate } = require('../../services/conjugator');
+const { useTestApp, registerUser, bearer } = require('../helpers/app');
+
+describe('conjugation drill', () => {
+  const api = useTestApp();
+  let token;
+  let falar;
+
+  beforeEach(async () => {
+    ({ token } = await registerUser(api));
+    [falar] = await Conjugation.create([
+      { verb: 'falar', english: 'to speak', conjugations: conjugate('falar') },
+      { verb: 'comer', english: 'to eat', conjugations: conjugate('comer') }
+    ]);
+  });
+
+  const answer = (body) => api().post('/api/conjugations/drill/answer').set(bearer(token))
+    .send({ conjugationId: falar.id, ...body });
+
+  test('prompts ask for single forms without giving them away', async () => {
+    const res = await api().get('/api/conjugations/drill?count=5&tense=past').set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(5);
+    for (const prompt of res.body) {
+      expect(prompt).toEqual({
+        conjugationId: expect.any(String),
+        verb: expect.stringMatching(/^(falar|comer)$/),
+        english: expect.any(String),
+        tense: 'past',
+        person: expect.any(String),
+        pronoun: expect.any(String)
+      });
+    }
+    const forms = res.body.map(p => `${p.verb}.${p.person}`);
+    expect(new Set(forms).size).toBe(forms.length);
+  });
+
+  test('answers are checked with accents optional and counted per tense and person', async () => {
+    const exact = await answer({ tense: 'imperfect', person: 'nos', answer: 'falávamos' });
+    expect(exact.body).toMatchObject({ correct: true, exact: true, progress: { attempts: 1, correct: 1 } });
+
+    const unaccented = await answer({ tense: 'imperfect', person: 'nos', answer: 'falavamos' });
+    expect(unaccented.body).toMatchObject({
+      correct: true,
+      accentMismatch: true,
+      expected: 'falávamos',
+      progress: { attempts: 2, correct: 2, accentMistakes: 1 }
+    });
+
+    const wrong = await answer({ tense: 'past', person: 'eu', answer: 'falou' });
+    expect(wrong.body).toMatchObject({ correct: false, expected: 'falei', progress: { attempts: 1, correct: 0, accuracy: 0 } });
+
+    expect(await ConjugationProgress.countDocuments()).toBe(2);
+  });
+
+  test('progress shows accuracy per tense and the weakest tenses', async () => {
+    await answer({ tense: 'past', person: 'eu', answer: 'falou' });
+    await answer({ tense: 'present', person: 'eu', answer: 'falo' });
+
+    const res = await api().get('/api/conjugations/drill/progress').set(bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.weakest).toEqual(['past', 'present']);
+    const past = res.body.tenses.find(t => t.tense === 'past');
+    expect(past).toMatchObject({ attempts: 1, correct: 0, accuracy: 0 });
+    expect(past.persons.find(p => p.person === 'eu')).toMatchObject({ attempts: 1, accuracy: 0 });
+    expect(res.body.tenses.find(t => t.tense === 'imperative').persons).toHaveLength(3);
+  });
+
+  test('rejects forms that do not exist', async () => {
+    expect((await answer({ tense: 'imperative', person: 'eu', answer: 'fale' })).status).toBe(404);
+    expect((await answer({ tense: 'pluperfect', person: 'eu', answer: 'falara' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,153 @@
+const { useTestApp, registerUser, adminToken, bearer } = require('../helpers/app');
+
+const story = {
+  title: 'No mercado',
+  description: 'A trip to the market',
+  category: 'Daily life',
+  difficulty: 2,
+  paragraphs: [{ portuguese: 'Fui ao mercado.', english: 'I went to the market.' }]
+};
+
+describe('content management', () => {
+  const api = useTestApp();
+  let admin;
+  let learner;
+
+  beforeEach(async () => {
+    admin = bearer(await adminToken(api));
+    learner = bearer((await registerUser(api)).token);
+  });
+
+  describe('stories', () => {
+    test('admins create, update and delete; anyone can read', async () => {
+      const created = await api().post('/api/stories').set(admin).send(story);
+      expect(created.status).toBe(201);
+      const id = created.body._id;
+
+      const updated = await api().put(`/api/stories/${id}`).set(admin).send({ title: 'Na feira' });
+      expect(updated.status).toBe(200);
+      expect(updated.body).toMatchObject({ title: 'Na feira', category: 'Daily life' });
+
+      const list = await api().get('/api/stories');
+      expect(list.body.map(s => s.title)).toEqual(['Na feira']);
+
+      expect((await api().delete(`/api/stories/${id}`).set(admin)).status).toBe(200);
+      expect((await api().get(`/api/stories/${id}`)).status).toBe(404);
+    });
+
+    test('learners cannot change content', async () => {
+      expect((await api().post('/api/stories').set(learner).send(story)).status).toBe(403);
+      expect((await api().post('/api/stories').send(story)).status).toBe(401);
+    });
+
+    test('validates the body and drops unknown fields', async () => {
+      const invalid = await api().post('/api/stories').set(admin).send({ ...story, paragraphs: [] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.errors[0].field).toBe('paragraphs');
+
+      const created = await api().post('/api/stories').set(admin).send({ ...story, createdAt: '2000-01-01', isAdmin: true });
+      expect(created.status).toBe(201);
+      expect(created.body).not.toHaveProperty('isAdmin');
+      expect(created.body.createdAt.startsWith('2000')).toBe(false);
+    });
+  });
+
+  describe('words', () => {
+    test('spellings differing in case clash, accented variants do not', async () => {
+      const add = (portuguese) => api().post('/api/words').set(admin).send({ portuguese, english: 'grandparent' });
+
+      expect((await add('avó')).status).toBe(201);
+      expect((await add('Avó')).status).toBe(400);
+      const avo = await add('avô');
+      expect(avo.status).toBe(201);
+
+      const renamed = await api().put(`/api/words/${avo.body.id}`).set(admin).send({ portuguese: 'AVÓ' });
+      expect(renamed.status).toBe(400);
+      expect(renamed.body.error).toBe('Word already exists');
+    });
+  });
+
+  describe('tests and questions', () => {
+    test('a test is attached to a story', async () => {
+      const { body: created } = await api().post('/api/stories').set(admin).send(story);
+
+      const quiz = await api().post('/api/tests').set(admin).send({
+        title: 'Quiz',
+        description: 'About the market',
+        type: 'Multiple Choice',
+        estimatedTime: 5,
+        storyId: created._id,
+        questions: [{ question: 'Onde?', options: ['mercado', 'casa'], correctAnswer: 0 }]
+      });
+      expect(quiz.status).toBe(201);
+
+      const forStory = await api().get(`/api/tests/story/${created._id}`);
+      expect(forStory.body).toHaveLength(1);
+      const ofType = await api().get(`/api/tests/type/${encodeURIComponent('Multiple Choice')}`);
+      expect(ofType.body).toHaveLength(1);
+    });
+
+    test('questions need exactly four options', async () => {
+      const question = { question: 'Qual?', options: ['a', 'b', 'c', 'd'], correctAnswer: 2 };
+
+      expect((await api().post('/api/questions').set(admin).send(question)).status).toBe(201);
+      expect((await api().post('/api/questions').set(admin).send({ ...question, options: ['a'] })).status).toBe(400);
+      expect((await api().get('/api/questions')).body).toHaveLength(1);
+    });
+  });
+
+  describe('grammar and conjugations', () => {
+    test('lessons can be created and edited', async () => {
+      const created = await api().post('/api/grammar').set(admin).send({
+        title: 'Ser e estar',
+        description: 'Two verbs for "to be"',
+        content: '...',
+        category: 'verbs',
+        order: 1
+      });
+      expect(created.status).toBe(201);
+
+      const updated = await api().put(`/api/grammar/${created.body._id}`).set(admin).send({ difficulty: 'intermediate' });
+      expect(updated.body.difficulty).toBe('intermediate');
+      expect((await api().put(`/api/grammar/${created.body._id}`).set(learner).send({ order: 2 })).status).toBe(403);
+    });
+
+    test('conjugations can be created and removed', async () => {
+      const created = await api().post('/api/conjugations').set(admin).send({
+        verb: 'falar',
+        english: 'to speak',
+        conjugations: { present: { eu: 'falo', voceEleEla: 'fala', nos: 'falamos', vocesEles: 'falam' } }
+      });
+      expect(created.status).toBe(201);
+      expect(created.body.conjugations.present.eu).toBe('falo');
+
+      expect((await api().delete(`/api/conjugations/${created.body._id}`).set(admin)).status).toBe(200);
+      expect((await api().get('/api/conjugations')).body).toEqual([]);
+    });
+
+    test('missing forms of regular verbs are generated and odd ones flagged', async () => {
+      const created = await api().post('/api/conjugations').set(admin).send({
+        verb: 'ficar',
+        english: 'to stay',
+        conjugations: { past: { eu: 'ficei' } }
+      });
+
+      expect(created.status).toBe(201);
+      expect(created.body.conjugations.past.voceEleEla).toBe('ficou');
+      expect(created.body.conjugations.presentSubjunctive.eu).toBe('fique');
+      expect(created.body.generated.filled).toContain('imperative.nos');
+      expect(created.body.generated.irregular).toEqual([
+        { tense: 'past', person: 'eu', form: 'ficei', regular: 'fiquei' }
+      ]);
+
+      const irregular = await api().post('/api/conjugations').set(admin).send({
+        verb: 'ser',
+        english: 'to be',
+        type: 'irregular',
+        conjugations: { present: { eu: 'sou' } }
+      });
+      expect(irregular.body.conjugations.past?.eu).toBeUndefined();
+      expect(irregular.body.generated.filled).toEqual([]);
+    });
+  });
+});
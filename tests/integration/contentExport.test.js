@@ -0,0 +1,93 @@
+const XLSX = require('xlsx');
+const Word = require('../../models/Word');
+const Story = require('../../models/Story');
+const Conjugation = require('../../models/Conjugation');
+const { useTestApp, registerUser, adminToken, bearer } = require('../helpers/app');
+
+describe('content export', () => {
+  const api = useTestApp();
+  let admin;
+
+  beforeEach(async () => {
+    admin = bearer(await adminToken(api));
+    await Word.create([
+      { portuguese: 'casa', english: 'house', group: 'Home', examples: ['A casa é grande.', 'Minha casa.'] },
+      { portuguese: 'pão', english: 'bread' }
+    ]);
+    await Story.create([
+      {
+        title: 'No mercado',
+        description: 'A trip to the market',
+        category: 'Daily life',
+        paragraphs: [
+          { portuguese: 'Fui ao mercado.', english: 'I went to the market.' },
+          { portuguese: 'Comprei "pão", leite e ovos.', english: 'I bought "bread", milk and eggs.' }
+        ]
+      },
+      { title: 'Olá', description: 'Greetings', category: 'Basics', paragraphs: [{ portuguese: 'Olá!', english: 'Hello!' }] }
+    ]);
+    await Conjugation.create({
+      verb: 'falar',
+      english: 'to speak',
+      conjugations: { present: { eu: 'falo', voceEleEla: 'fala', nos: 'falamos', vocesEles: 'falam' } }
+    });
+  });
+
+  const download = (url) => api().get(url).set(admin).buffer(true).responseType('blob');
+  const parseCsv = (res) => XLSX.utils.sheet_to_json(XLSX.read(res.body.toString('utf8'), { type: 'string' }).Sheets.Sheet1);
+
+  test('stories flatten their paragraphs into numbered columns', async () => {
+    const res = await download('/api/admin/export/stories');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="stories-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const rows = parseCsv(res);
+    expect(rows[0]).toMatchObject({
+      title: 'No mercado',
+      'paragraphs.1.portuguese': 'Fui ao mercado.',
+      'paragraphs.2.english': 'I bought "bread", milk and eggs.'
+    });
+    expect(rows[1]).not.toHaveProperty('paragraphs.2.portuguese');
+  });
+
+  test('conjugations get a column per tense and person', async () => {
+    const rows = parseCsv(await download('/api/admin/export/conjugations'));
+
+    expect(rows[0]).toMatchObject({ verb: 'falar', 'present.eu': 'falo', 'present.vocesEles': 'falam' });
+  });
+
+  test('a word export can be read back by the word import', async () => {
+    const exported = await download('/api/admin/export/words');
+    const dryRun = await api().post('/api/words/import').set(admin).attach('file', exported.body, 'words.csv');
+
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.summary).toMatchObject({ total: 2, duplicate: 2, invalid: 0 });
+  });
+
+  test('the full export is a workbook with a sheet per collection', async () => {
+    const res = await download('/api/admin/export');
+
+    expect(res.status).toBe(200);
+    const workbook = XLSX.read(res.body);
+    expect(workbook.SheetNames).toEqual(['Words', 'Conjugations', 'Stories', 'Tests', 'Grammar lessons', 'Image prompts']);
+
+    const words = XLSX.utils.sheet_to_json(workbook.Sheets.Words);
+    expect(words.map(w => w.portuguese)).toEqual(['casa', 'pão']);
+    expect(words[0].examples).toBe('A casa é grande. | Minha casa.');
+  });
+
+  test('one collection can also be downloaded as XLSX', async () => {
+    const res = await download('/api/admin/export/words?format=xlsx');
+
+    expect(XLSX.read(res.body).SheetNames).toEqual(['Words']);
+  });
+
+  test('only admins can export, and only known collections', async () => {
+    const { token } = await registerUser(api);
+    expect((await api().get('/api/admin/export/words').set(bearer(token))).status).toBe(403);
+    expect((await api().get('/api/admin/export/users').set(admin)).status).toBe(400);
+    expect((await api().get('/api/admin/export?format=csv').set(admin)).status).toBe(400);
+  });
+});
@@ -0,0 +1,110 @@
+const Word = require('../../models/Word');
+const CardState = require('../../models/CardState');
+const { useTestApp, registerUser, bearer } = require('../helpers/app');
+
+describe('flashcard reviews', () => {
+  const api = useTestApp();
+  let token;
+  let words;
+
+  beforeEach(async () => {
+    ({ token } = await registerUser(api));
+    words = await Word.create([
+      { portuguese: 'casa', english: 'house' },
+      { portuguese: 'cão', english: 'dog' },
+      { portuguese: 'pão', english: 'bread' }
+    ]);
+  });
+
+  const review = (body) => api().post('/api/flashcards/review').set(bearer(token)).send(body);
+
+  test('new cards are due until they are reviewed', async () => {
+    const due = await api().get('/api/flashcards/due').set(bearer(token));
+
+    expect(due.status).toBe(200);
+    expect(due.body).toHaveLength(3);
+  });
+
+  test('an easy first answer graduates the card and schedules it later', async () => {
+    const wordId = words[0].id;
+    const res = await review({ wordId, quality: 5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.progress.state).toBe('review');
+    expect(new Date(res.body.progress.nextReview).getTime()).toBeGreaterThan(Date.now());
+
+    const due = await api().get('/api/flashcards/due').set(bearer(token));
+    expect(due.body.map(card => card.id)).not.toContain(wordId);
+    expect(due.body).toHaveLength(2);
+  });
+
+  test('a weaker answer keeps the card in learning', async () => {
+    const res = await review({ wordId: words[1].id, quality: 3 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.progress.state).toBe('learning');
+  });
+
+  test('progress is kept per direction', async () => {
+    await review({ wordId: words[0].id, quality: 5, direction: 'production' });
+
+    const recognition = await api().get('/api/flashcards/due?direction=recognition').set(bearer(token));
+    const production = await api().get('/api/flashcards/due?direction=production').set(bearer(token));
+    expect(recognition.body).toHaveLength(3);
+    expect(production.body).toHaveLength(2);
+  });
+
+  test('every review is logged', async () => {
+    const wordId = words[0].id;
+    await review({ wordId, quality: 3 });
+    await review({ wordId, difficulty: 'easy' });
+
+    const res = await api().get(`/api/flashcards/reviews/word/${wordId}`).set(bearer(token));
+    expect(res.status).toBe(200);
+    expect(res.body.map(log => log.grade).sort()).toEqual([3, 5]);
+  });
+
+  test('typed answers are graded on the server, accents forgiven', async () => {
+    const res = await review({ wordId: words[1].id, direction: 'typed', answer: 'cao' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.check).toMatchObject({ correct: true, exact: false, accentMismatch: true });
+    expect(res.body.quality).toBe(3);
+  });
+
+  test('rejects reviews without a usable grade', async () => {
+    expect((await review({ wordId: words[0].id, quality: 9 })).status).toBe(400);
+    expect((await review({ wordId: 'nope', quality: 3 })).status).toBe(400);
+    expect((await review({ wordId: words[0].id })).status).toBe(400);
+  });
+
+  test('progress set by hand only changes the fields sent', async () => {
+    const wordId = words[0].id;
+    const { body: reviewed } = await review({ wordId, quality: 5 });
+    const nextReview = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+
+    const moved = await api().put(`/api/words/${wordId}`).set(bearer(token)).send({ nextReview });
+    expect(moved.status).toBe(200);
+    expect(moved.body).toMatchObject({
+      ease: reviewed.progress.ease,
+      interval: reviewed.progress.interval,
+      reviewCount: 1,
+      state: 'review',
+      nextReview
+    });
+
+    await api().put(`/api/words/${wordId}`).set(bearer(token)).send({ interval: 10 });
+    const card = await CardState.findOne({ word: wordId }).lean();
+    expect(card).toMatchObject({ interval: 10, reviewCount: 1, state: 'review', step: 0 });
+    expect(card.repetitions).toBeUndefined();
+    expect(card.stability).toBeUndefined();
+  });
+
+  test('another learner starts from scratch', async () => {
+    await review({ wordId: words[0].id, quality: 5 });
+    const other = await registerUser(api);
+
+    const due = await api().get('/api/flashcards/due').set(bearer(other.token));
+    expect(due.body).toHaveLength(3);
+  });
+});
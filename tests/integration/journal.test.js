@@ -0,0 +1,67 @@
+const { useTestApp, registerUser, bearer } = require('../helpers/app');
+
+describe('journal', () => {
+  const api = useTestApp();
+  let owner;
+  let stranger;
+
+  beforeEach(async () => {
+    owner = await registerUser(api);
+    stranger = await registerUser(api);
+  });
+
+  const createEntry = (token, body) => api().post('/api/journal').set(bearer(token)).send(body);
+
+  test('creates, reads, updates and deletes an entry', async () => {
+    const created = await createEntry(owner.token, { date: '2024-03-01', title: 'Dia 1', task1: 'Olá' });
+    expect(created.status).toBe(201);
+    const id = created.body._id;
+
+    const fetched = await api().get(`/api/journal/${id}`).set(bearer(owner.token));
+    expect(fetched.body).toMatchObject({ title: 'Dia 1', task1: 'Olá' });
+
+    const updated = await api().put(`/api/journal/${id}`).set(bearer(owner.token)).send({ task2: 'Tudo bem' });
+    expect(updated.status).toBe(200);
+    expect(updated.body).toMatchObject({ title: 'Dia 1', task2: 'Tudo bem' });
+
+    const removed = await api().delete(`/api/journal/${id}`).set(bearer(owner.token));
+    expect(removed.status).toBe(200);
+    expect((await api().get(`/api/journal/${id}`).set(bearer(owner.token))).status).toBe(404);
+  });
+
+  test('entries always belong to the logged-in user', async () => {
+    const created = await createEntry(owner.token, { date: '2024-03-01', userId: stranger.user.id });
+
+    expect(created.body.userId).toBe(String(owner.user.id));
+  });
+
+  test('other users cannot see or change an entry', async () => {
+    const { body: entry } = await createEntry(owner.token, { date: '2024-03-01', title: 'Privado' });
+    const asStranger = bearer(stranger.token);
+
+    expect((await api().get(`/api/journal/${entry._id}`).set(asStranger)).status).toBe(404);
+    expect((await api().put(`/api/journal/${entry._id}`).set(asStranger).send({ title: 'Meu' })).status).toBe(404);
+    expect((await api().delete(`/api/journal/${entry._id}`).set(asStranger)).status).toBe(404);
+
+    const list = await api().get('/api/journal').set(asStranger);
+    expect(list.body).toEqual([]);
+
+    const own = await api().get(`/api/journal/${entry._id}`).set(bearer(owner.token));
+    expect(own.body.title).toBe('Privado');
+  });
+
+  test('lists only your own entries, newest first', async () => {
+    await createEntry(owner.token, { date: '2024-03-01' });
+    await createEntry(owner.token, { date: '2024-03-05' });
+    await createEntry(stranger.token, { date: '2024-03-03' });
+
+    const list = await api().get('/api/journal').set(bearer(owner.token));
+    expect(list.body.map(entry => entry.date.slice(0, 10))).toEqual(['2024-03-05', '2024-03-01']);
+  });
+
+  test('validates dates and ids', async () => {
+    expect((await createEntry(owner.token, { date: '2024-02-31x' })).status).toBe(400);
+    expect((await createEntry(owner.token, {})).status).toBe(400);
+    expect((await api().get('/api/journal/not-an-id').set(bearer(owner.token))).status).toBe(400);
+  });
+});
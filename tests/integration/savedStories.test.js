@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Story = require('../../models/Story');
+const { useTestApp, registerUser, bearer } = require('../helpers/app');
+
+describe('saved stories', () => {
+  const api = useTestApp();
+  let token;
+  let story;
+
+  beforeEach(async () => {
+    ({ token } = await registerUser(api));
+    story = await Story.create({
+      title: 'No mercado',
+      description: 'A trip to the market',
+      category: 'Daily life',
+      paragraphs: [{ portuguese: 'Fui ao mercado.', english: 'I went to the market.' }]
+    });
+  });
+
+  const saved = () => api().get('/api/saved-stories').set(bearer(token));
+  const save = (storyId) => api().post('/api/saved-stories').set(bearer(token)).send({ storyId });
+
+  test('saves a story once, however often it is saved', async () => {
+    expect((await save(story.id)).status).toBe(200);
+    expect((await save(story.id)).status).toBe(200);
+
+    const res = await saved();
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].title).toBe('No mercado');
+  });
+
+  test('removes a saved story', async () => {
+    await save(story.id);
+
+    const res = await api().delete(`/api/saved-stories/${story.id}`).set(bearer(token));
+    expect(res.status).toBe(200);
+    expect((await saved()).body).toEqual([]);
+  });
+
+  test('refuses missing stories and bad ids', async () => {
+    expect((await save(new mongoose.Types.ObjectId().toString())).status).toBe(404);
+    expect((await save('abc')).status).toBe(400);
+    expect((await api().delete('/api/saved-stories/abc').set(bearer(token))).status).toBe(400);
+  });
+
+  test('requires a login', async () => {
+    expect((await api().get('/api/saved-stories')).status).toBe(401);
+  });
+});
@@ -0,0 +1,82 @@
+const Word = require('../../models/Word');
+const { useTestApp, registerUser, adminToken, bearer } = require('../helpers/app');
+
+const wordList = Buffer.from(
+  'portuguese,english,group,examples\n' +
+  'casa,house,Home,A casa é grande. | Minha casa.\n' +
+  'Avó,grandmother,Family,\n' +
+  'avó,grandmother,Family,\n' +
+  'cão,,Animals,\n' +
+  'pão,bread,,\n' +
+  'avô,grandfather,Family,\n'
+);
+
+describe('word import', () => {
+  const api = useTestApp();
+  let admin;
+
+  beforeEach(async () => {
+    admin = bearer(await adminToken(api));
+    await Word.create({ portuguese: 'Pão', english: 'bread' });
+  });
+
+  const upload = (query = '') => api().post(`/api/words/import${query}`).set(admin)
+    .attach('file', wordList, 'words.csv');
+
+  test('a dry run reports every row and saves nothing', async () => {
+    const res = await upload();
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.summary).toMatchObject({ total: 6, new: 3, duplicate: 2, invalid: 1 });
+    // Case doesn't make a new word, accents do
+    expect(res.body.rows.map(r => [r.row, r.status])).toEqual([
+      [2, 'new'], [3, 'new'], [4, 'duplicate'], [5, 'invalid'], [6, 'duplicate'], [7, 'new']
+    ]);
+    expect(res.body.rows[2].message).toBe('same word as row 3');
+    expect(res.body.rows[3].message).toBe('english is required');
+    expect(res.body.rows[4].message).toBe('already exists as "Pão"');
+    expect(await Word.countDocuments()).toBe(1);
+  });
+
+  test('committing inserts the new rows and links a result file', async () => {
+    const res = await upload('?commit=true');
+
+    expect(res.body.dryRun).toBe(false);
+    expect(res.body.summary).toMatchObject({ created: 3, duplicate: 2, invalid: 1 });
+
+    const casa = await Word.findOne({ portuguese: 'casa' });
+    expect(casa).toMatchObject({ group: 'Home', lookupKey: 'casa' });
+    expect(casa.examples).toEqual(['A casa é grande.', 'Minha casa.']);
+    expect(res.body.rows[0].wordId).toBe(casa.id);
+
+    const file = await api().get(res.body.resultFile).set(admin);
+    expect(file.status).toBe(200);
+    expect(file.text.split('\n')[0]).toBe('row,status,message,portuguese,english,group,examples,wordId');
+    expect(file.text).toContain(`2,created,,casa,house,Home,A casa é grande. | Minha casa.,${casa.id}`);
+  });
+
+  test('importing the same file twice creates nothing new', async () => {
+    await upload('?commit=true');
+    const again = await upload('?commit=true');
+
+    expect(again.body.summary).toMatchObject({ created: 0, duplicate: 5, invalid: 1 });
+  });
+
+  test('only admins can import', async () => {
+    const { token } = await registerUser(api);
+    const res = await api().post('/api/words/import').set(bearer(token)).attach('file', wordList, 'words.csv');
+    expect(res.status).toBe(403);
+  });
+
+  test('rejects missing and unsupported files', async () => {
+    const missing = await api().post('/api/words/import').set(admin);
+    expect(missing.status).toBe(400);
+    expect(missing.body.errors[0]).toMatchObject({ field: 'file', message: 'is required' });
+
+    const wrongType = await api().post('/api/words/import').set(admin).attach('file', Buffer.from('x'), 'words.pdf');
+    expect(wrongType.status).toBe(400);
+
+    expect((await api().get('/api/words/import/results/..%2F..%2Fpackage.json').set(admin)).status).toBe(404);
+  });
+});
@@ -0,0 +1,6 @@
+// tests/setupEnv.js
+// Runs before each test file, ahead of any app module being loaded.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.APP_URL = 'http://localhost:3000';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
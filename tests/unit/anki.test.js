@@ -0,0 +1,97 @@
+const { writeApkg, readApkg } = require('../../services/anki/apkg');
+const { readAnkiText } = require('../../services/anki/text');
+const { noteToCells } = require('../../services/anki');
+
+const deck = {
+  deck: { name: 'Portuguese::Food', config: { learningSteps: [1, 10], relearningSteps: [10], newPerDay: 20, reviewsPerDay: 200 } },
+  model: {
+    name: 'Vocabulary',
+    fields: ['Portuguese', 'English', 'Examples'],
+    templates: [{ name: 'Recognition', front: '{{Portuguese}}', back: '{{English}}', requires: 'Portuguese' }],
+    css: ''
+  },
+  notes: [
+    {
+      guid: 'a1',
+      fields: ['pão', 'bread', 'Pão quente &amp; fresco<br>Um pão'],
+      tags: ['Food'],
+      cards: [{ ord: 0, type: 2, queue: 2, due: 3, ivl: 12, factor: 2500, reps: 4, lapses: 0, left: 0 }]
+    },
+    {
+      guid: 'a2',
+      fields: ['água', 'water', ''],
+      tags: [],
+      cards: [{ ord: 0, type: 0, queue: 0, due: 2, ivl: 0, factor: 0, reps: 0, lapses: 0, left: 0 }]
+    }
+  ],
+  createdAt: new Date('2026-01-01T00:00:00Z')
+};
+
+describe('apkg', () => {
+  test('reads back the notes it writes, as plain text', async () => {
+    const { notes } = await readApkg(await writeApkg(deck));
+
+    expect(notes).toEqual([
+      {
+        fields: { Portuguese: 'pão', English: 'bread', Examples: 'Pão quente & fresco\nUm pão' },
+        values: ['pão', 'bread', 'Pão quente & fresco\nUm pão'],
+        deck: 'Portuguese::Food',
+        tags: ['Food']
+      },
+      { fields: { Portuguese: 'água', English: 'water', Examples: '' }, values: ['água', 'water', ''], deck: 'Portuguese::Food', tags: [] }
+    ]);
+  });
+
+  test('explains files that are not Anki packages', async () => {
+    expect((await readApkg(Buffer.from('not a zip'))).error).toBeDefined();
+  });
+});
+
+describe('readAnkiText', () => {
+  test('uses the header lines for the separator, field names and deck column', async () => {
+    const { notes } = await readAnkiText(Buffer.from(
+      '#separator:semicolon\n#html:true\n#columns:Front;Back;Deck\n#deck column:3\n' +
+      'casa;house<br>home;PT::Casa\n' +
+      '"olá; oi";hello;PT\n'
+    ));
+
+    expect(notes).toEqual([
+      { fields: { Front: 'casa', Back: 'house\nhome' }, values: ['casa', 'house\nhome'], deck: 'PT::Casa', tags: [] },
+      { fields: { Front: 'olá; oi', Back: 'hello' }, values: ['olá; oi', 'hello'], deck: 'PT', tags: [] }
+    ]);
+  });
+
+  test('numbers the fields when there is no #columns line', async () => {
+    const { notes } = await readAnkiText(Buffer.from('cão\tdog\n'));
+    expect(notes[0].fields).toEqual({ 1: 'cão', 2: 'dog' });
+  });
+});
+
+describe('noteToCells', () => {
+  const note = {
+    fields: { Front: 'cão', Back: 'dog', Notes: 'O cão ladra.\nUm cão.' },
+    values: ['cão', 'dog', 'O cão ladra.\nUm cão.'],
+    deck: 'Portuguese::Animals',
+    tags: ['pets', 'a1']
+  };
+
+  test('takes the first two fields by default', () => {
+    expect(noteToCells(note)).toEqual({ portuguese: 'cão', english: 'dog' });
+  });
+
+  test('fills a template by field name, position, deck and tags', () => {
+    expect(noteToCells(note, {
+      portuguese: '{{front}}',
+      english: '{{2}} ({{Tags}})',
+      group: '{{Deck}}',
+      examples: '{{Notes}}',
+      synonyms: '{{Missing}}'
+    })).toEqual({
+      portuguese: 'cão',
+      english: 'dog (pets a1)',
+      group: 'Animals',
+      examples: 'O cão ladra. | Um cão.',
+      synonyms: ''
+    });
+  });
+});
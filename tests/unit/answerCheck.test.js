@@ -0,0 +1,37 @@
+const { tidy, checkAnswer, gradeFromCheck } = require('../../services/answerCheck');
+
+describe('tidy', () => {
+  test('lowercases, drops punctuation and a leading article', () => {
+    expect(tidy('  O Gato!  ')).toBe('gato');
+    expect(tidy('Uma  casa, grande.')).toBe('casa grande');
+    expect(tidy(undefined)).toBe('');
+  });
+});
+
+describe('checkAnswer', () => {
+  test('an exact answer is correct', () => {
+    expect(checkAnswer('pão', ['pão'])).toMatchObject({ correct: true, exact: true, accentMismatch: false });
+  });
+
+  test('a missing accent is correct but flagged', () => {
+    expect(checkAnswer('pao', ['pão'])).toMatchObject({ correct: true, exact: false, accentMismatch: true, matched: 'pão' });
+  });
+
+  test('any listed alternative is accepted', () => {
+    expect(checkAnswer('automóvel', ['carro, automóvel']).correct).toBe(true);
+    expect(checkAnswer('a gata', ['o gato / a gata']).exact).toBe(true);
+  });
+
+  test('wrong and empty answers are wrong', () => {
+    expect(checkAnswer('cão', ['gato'])).toMatchObject({ correct: false, expected: 'gato' });
+    expect(checkAnswer('   ', ['gato'])).toMatchObject({ correct: false, matched: null });
+  });
+});
+
+describe('gradeFromCheck', () => {
+  test('maps exact, accent-only and wrong answers onto grades', () => {
+    expect(gradeFromCheck(checkAnswer('pão', ['pão']))).toBe(4);
+    expect(gradeFromCheck(checkAnswer('pao', ['pão']))).toBe(3);
+    expect(gradeFromCheck(checkAnswer('água', ['pão']))).toBe(1);
+  });
+});
@@ -0,0 +1,76 @@
+const { conjugate, completeConjugations } = require('../../services/conjugator');
+
+const tense = (verb, name) => Object.values(conjugate(verb)[name]);
+
+describe('conjugate', () => {
+  test.each([
+    ['falar', 'present', ['falo', 'fala', 'falamos', 'falam']],
+    ['falar', 'past', ['falei', 'falou', 'falamos', 'falaram']],
+    ['comer', 'imperfect', ['comia', 'comia', 'comíamos', 'comiam']],
+    ['comer', 'imperfectSubjunctive', ['comesse', 'comesse', 'comêssemos', 'comessem']],
+    ['partir', 'past', ['parti', 'partiu', 'partimos', 'partiram']],
+    ['partir', 'future', ['partirei', 'partirá', 'partiremos', 'partirão']],
+    ['partir', 'conditional', ['partiria', 'partiria', 'partiríamos', 'partiriam']],
+    ['partir', 'presentSubjunctive', ['parta', 'parta', 'partamos', 'partam']],
+    ['falar', 'imperative', [undefined, 'fale', 'falemos', 'falem']]
+  ])('%s %s', (verb, name, forms) => {
+    expect(tense(verb, name)).toEqual(forms);
+  });
+
+  test.each([
+    ['ficar', 'past', 'fiquei'],
+    ['ficar', 'presentSubjunctive', 'fique'],
+    ['pagar', 'past', 'paguei'],
+    ['começar', 'past', 'comecei'],
+    ['conhecer', 'present', 'conheço'],
+    ['conhecer', 'presentSubjunctive', 'conheça'],
+    ['proteger', 'present', 'protejo'],
+    ['dirigir', 'presentSubjunctive', 'dirija'],
+    ['erguer', 'present', 'ergo']
+  ])('keeps the sound of %s in the %s (%s)', (verb, name, form) => {
+    expect(conjugate(verb)[name].eu).toBe(form);
+  });
+
+  test('accents the stressed i of -uir verbs', () => {
+    expect(tense('incluir', 'present')).toEqual(['incluo', 'inclui', 'incluímos', 'incluem']);
+    expect(tense('incluir', 'past')).toEqual(['incluí', 'incluiu', 'incluímos', 'incluíram']);
+    expect(tense('distinguir', 'past')[0]).toBe('distingui');
+  });
+
+  test('only conjugates plain -ar/-er/-ir infinitives', () => {
+    expect(conjugate('pôr')).toBeNull();
+    expect(conjugate('lavar-se')).toBeNull();
+    expect(conjugate(' Falar ')).not.toBeNull();
+  });
+});
+
+describe('completeConjugations', () => {
+  test('fills missing forms and flags given ones that differ', () => {
+    const { conjugations, filled, irregular } = completeConjugations('fazer', {
+      present: { eu: 'faço', voceEleEla: 'faz', nos: 'Fazemos' }
+    });
+
+    expect(conjugations.present).toEqual({ eu: 'faço', voceEleEla: 'faz', nos: 'Fazemos', vocesEles: 'fazem' });
+    expect(conjugations.imperfect.nos).toBe('fazíamos');
+    expect(filled).toContain('present.vocesEles');
+    expect(filled).not.toContain('present.nos');
+    expect(filled).not.toContain('imperative.eu');
+    expect(irregular).toEqual([
+      { tense: 'present', person: 'eu', form: 'faço', regular: 'fazo' },
+      { tense: 'present', person: 'voceEleEla', form: 'faz', regular: 'faze' }
+    ]);
+  });
+
+  test('leaves the gaps of irregular verbs alone when asked', () => {
+    const { conjugations, filled, irregular } = completeConjugations('ser', { present: { eu: 'sou' } }, { fill: false });
+
+    expect(conjugations.present).toEqual({ eu: 'sou' });
+    expect(filled).toEqual([]);
+    expect(irregular).toHaveLength(1);
+  });
+
+  test('returns the input unchanged for verbs it cannot conjugate', () => {
+    const input = { present: { eu: 'ponho' } };
+    expect(completeConjugations('pôr', input)).toEqual({ conjugations: input, filled: null, irregular: null });
+  });
+});
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const logger = require('../../services/logger');
+const { createApp } = require('../../app');
+
+// Collect the JSON lines written while fn runs
+async function captureLogs(fn) {
+  const lines = [];
+  const capture = (chunk) => { lines.push(JSON.parse(chunk)); return true; };
+  const out = jest.spyOn(process.stdout, 'write').mockImplementation(capture);
+  const err = jest.spyOn(process.stderr, 'write').mockImplementation(capture);
+  const level = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'debug';
+  try {
+    await fn();
+  } finally {
+    process.env.LOG_LEVEL = level;
+    out.mockRestore();
+    err.mockRestore();
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  test('writes one JSON object per line with fields and error stacks', async () => {
+    const lines = await captureLogs(async () => {
+      logger.info('Server started', { port: 5000 });
+      logger.error('Error saving story', new Error('boom'));
+    });
+
+    expect(lines[0]).toMatchObject({ level: 'info', msg: 'Server started', port: 5000 });
+    expect(lines[1]).toMatchObject({ level: 'error', msg: 'Error saving story', err: { name: 'Error', message: 'boom' } });
+    expect(lines[1].err.stack).toContain('logging.test.js');
+  });
+
+  test('drops lines below LOG_LEVEL', async () => {
+    const lines = await captureLogs(async () => {
+      process.env.LOG_LEVEL = 'warn';
+      logger.info('quiet');
+      logger.warn('loud');
+    });
+    expect(lines.map(line => line.msg)).toEqual(['loud']);
+  });
+
+  test('adds the context to lines logged inside withContext, including async ones', async () => {
+    const lines = await captureLogs(() => logger.withContext({ requestId: 'abc' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      logger.info('inside');
+    }));
+    expect(lines[0]).toMatchObject({ msg: 'inside', requestId: 'abc' });
+  });
+});
+
+describe('request correlation ids', () => {
+  const app = createApp();
+
+  test('every response carries an X-Request-Id', async () => {
+    const first = await request(app).get('/health');
+    const second = await request(app).get('/health');
+
+    expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+  });
+
+  test("reuses the caller's id when it is safe", async () => {
+    const ok = await request(app).get('/health').set('X-Request-Id', 'frontend-123');
+    expect(ok.headers['x-request-id']).toBe('frontend-123');
+
+    const unsafe = await request(app).get('/health').set('X-Request-Id', 'bad id <script>');
+    expect(unsafe.headers['x-request-id']).not.toContain('script');
+  });
+
+  test('errors are logged with the request id but not sent to the client', async () => {
+    mongoose.set('bufferCommands', false);
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await request(app).get('/api/stories');
+    });
+    mongoose.set('bufferCommands', true);
+
+    const requestId = res.headers['x-request-id'];
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ error: 'Error fetching stories' });
+
+    const failure = lines.find(line => line.level === 'error');
+    expect(failure).toMatchObject({ requestId, msg: 'Error fetching stories' });
+    expect(failure.err.stack).toEqual(expect.any(String));
+
+    const finished = lines.find(line => line.msg === 'Request finished');
+    expect(finished).toMatchObject({ requestId, method: 'GET', path: '/api/stories', status: 500 });
+  });
+});
@@ -0,0 +1,58 @@
+const express = require('express');
+const request = require('supertest');
+const { createLoginLimiter, DEFAULT_POLICY } = require('../../services/loginLimiter');
+
+// A login route whose password check takes a moment, so requests overlap
+function loginApp(limiter, { password = 'secret' } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.post('/login', limiter.middleware('user', 'email'), async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    if (req.body.password !== password) {
+      await req.loginAttempt.failed();
+      return res.status(400).json({ error: 'Invalid credentials.' });
+    }
+    await req.loginAttempt.succeeded();
+    res.json({ ok: true });
+  });
+  return app;
+}
+
+describe('login limiter', () => {
+  const maxFailures = DEFAULT_POLICY.account.maxFailures;
+  let lockouts;
+  let app;
+
+  beforeEach(() => {
+    lockouts = [];
+    app = loginApp(createLoginLimiter({ onLockout: event => lockouts.push(event) }));
+  });
+
+  const login = (password) => request(app).post('/login').send({ email: 'ana@example.com', password });
+
+  test('locks the account after too many failures in a row', async () => {
+    for (let i = 0; i < maxFailures; i++) expect((await login('wrong')).status).toBe(400);
+
+    const locked = await login('secret');
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(lockouts).toEqual([expect.objectContaining({ keyType: 'account', account: 'ana@example.com' })]);
+  });
+
+  test('parallel bad logins cannot get past the limit', async () => {
+    const results = await Promise.all(Array.from({ length: maxFailures * 3 }, () => login('wrong')));
+    const statuses = results.map(res => res.status);
+
+    expect(statuses.filter(status => status === 400)).toHaveLength(maxFailures);
+    expect(statuses.filter(status => status === 429)).toHaveLength(maxFailures * 2);
+    expect((await login('secret')).status).toBe(429);
+  });
+
+  test('a success gives its attempt back', async () => {
+    for (let i = 0; i < maxFailures - 1; i++) await login('wrong');
+    expect((await login('secret')).status).toBe(200);
+
+    for (let i = 0; i < maxFailures - 1; i++) expect((await login('wrong')).status).toBe(400);
+    expect(lockouts).toEqual([]);
+  });
+});
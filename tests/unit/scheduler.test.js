@@ -0,0 +1,74 @@
+const { applyReview, parseGrade, ALGORITHMS } = require('../../services/scheduler');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const now = new Date('2024-03-01T12:00:00Z');
+const after = (entry, ms) => new Date(now.getTime() + ms).getTime() === new Date(entry.nextReview).getTime();
+
+describe('parseGrade', () => {
+  test('accepts 0-5 and the legacy difficulty names', () => {
+    expect(parseGrade({ quality: 0 })).toBe(0);
+    expect(parseGrade({ quality: '4' })).toBe(4);
+    expect(parseGrade({ difficulty: 'easy' })).toBe(5);
+    expect(parseGrade({ difficulty: 'medium' })).toBe(3);
+    expect(parseGrade({ difficulty: 'hard' })).toBe(2);
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseGrade({ quality: 6 })).toBeNull();
+    expect(parseGrade({ quality: 2.5 })).toBeNull();
+    expect(parseGrade({ difficulty: 'trivial' })).toBeNull();
+    expect(parseGrade()).toBeNull();
+  });
+});
+
+describe.each(ALGORITHMS)('applyReview with %s', (algorithm) => {
+  const review = (entry, quality, at = now) => applyReview(entry, quality, { algorithm, now: at });
+
+  test('new cards walk through the learning steps', () => {
+    const first = review({}, 4);
+    expect(first).toMatchObject({ state: 'learning', step: 1, reviewCount: 1 });
+    expect(after(first, 10 * MINUTE)).toBe(true);
+
+    const again = review(first, 1);
+    expect(again).toMatchObject({ state: 'learning', step: 0 });
+    expect(after(again, MINUTE)).toBe(true);
+
+    const graduated = review(first, 4);
+    expect(graduated.state).toBe('review');
+    expect(new Date(graduated.nextReview).getTime()).toBeGreaterThanOrEqual(now.getTime() + DAY);
+  });
+
+  test('repeated hard answers still graduate a card', () => {
+    let entry = {};
+    for (let i = 0; i < 3 && entry.state !== 'review'; i++) entry = review(entry, 3);
+    expect(entry.state).toBe('review');
+
+    let lapsed = review(review({}, 5), 1);
+    for (let i = 0; i < 3 && lapsed.state !== 'review'; i++) lapsed = review(lapsed, 3);
+    expect(lapsed.state).toBe('review');
+  });
+
+  test('easy skips the learning steps', () => {
+    const entry = review({}, 5);
+    expect(entry.state).toBe('review');
+    expect(entry.interval).toBeGreaterThanOrEqual(1);
+  });
+
+  test('a lapse sends a review card to relearning, then back', () => {
+    const graduated = review({}, 5);
+    const lapsed = review(graduated, 1);
+    expect(lapsed.state).toBe('relearning');
+    expect(after(lapsed, 10 * MINUTE)).toBe(true);
+
+    const recovered = review(lapsed, 4);
+    expect(recovered.state).toBe('review');
+    expect(recovered.reviewCount).toBe(3);
+  });
+
+  test('successful reviews push the next one further out', () => {
+    const first = review({}, 5);
+    const second = review(first, 4, new Date(first.nextReview));
+    expect(second.interval).toBeGreaterThan(first.interval);
+  });
+});
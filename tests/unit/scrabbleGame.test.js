@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const ScrabbleGame = require('../../models/ScrabbleGame');
+const { Trie } = require('../../services/scrabbleDictionary');
+const { normalizeBoard, CENTER } = require('../../services/scrabbleBoard');
+const { newGameState, checkPlacement, applyPlay, playAITurns } = require('../../services/scrabbleGame');
+
+const trie = Trie.fromWords(['casa', 'as', 'os', 'sol', 'cal']);
+const across = (word, row, col) => word.split('').map((letter, i) => ({ row, col: col + i, letter, blank: false }));
+
+// A two-player game against the computer with known racks
+function newGame({ rack, aiRack }) {
+  const game = new ScrabbleGame(newGameState({ owner: new mongoose.Types.ObjectId() }));
+  game.players[0].rack = rack;
+  game.players[1].rack = aiRack;
+  return game;
+}
+
+describe('checkPlacement', () => {
+  const grid = normalizeBoard();
+
+  test('the first word must cover the centre', () => {
+    expect(checkPlacement(grid, across('CASA', CENTER, CENTER - 1), trie)).toHaveProperty('formed');
+    expect(checkPlacement(grid, across('CASA', 0, 0), trie).error).toBe('The first word must cover the centre square');
+  });
+
+  test('rejects gaps and tiles off one line', () => {
+    const gap = [...across('CA', CENTER, CENTER), ...across('SA', CENTER, CENTER + 3)];
+    expect(checkPlacement(grid, gap, trie).error).toBe('Tiles must form a single continuous word');
+
+    const bent = [{ row: CENTER, col: CENTER, letter: 'A', blank: false }, { row: CENTER + 1, col: CENTER + 1, letter: 'S', blank: false }];
+    expect(checkPlacement(grid, bent, trie).error).toBe('Tiles must be placed in a single row or column');
+  });
+
+  test('later words must connect to the board', () => {
+    const board = Array.from({ length: 15 }, () => Array(15).fill(null));
+    across('CASA', CENTER, CENTER - 1).forEach(t => { board[t.row][t.col] = t.letter; });
+
+    expect(checkPlacement(normalizeBoard(board), across('SOL', 2, 2), trie).error)
+      .toBe('Tiles must connect to a word already on the board');
+  });
+});
+
+describe('applyPlay', () => {
+  test('scores the word, refills the rack and passes the turn', () => {
+    const game = newGame({ rack: ['C', 'A', 'S', 'A', 'E', 'E', 'E'], aiRack: ['X'] });
+    const bagSize = game.bag.length;
+
+    const { breakdown } = applyPlay(game, across('CASA', CENTER, CENTER - 1), trie);
+
+    expect(breakdown.total).toBe(10);
+    expect(game.players[0].score).toBe(10);
+    expect(game.players[0].rack).toHaveLength(7);
+    expect(game.bag).toHaveLength(bagSize - 4);
+    expect(game.board).toHaveLength(4);
+    expect(game.moves[0]).toMatchObject({ player: 0, type: 'play', words: ['CASA'], score: 10 });
+    expect(game.currentPlayer).toBe(1);
+  });
+
+  test('a blank can be played as any letter and scores nothing', () => {
+    const game = newGame({ rack: ['?', 'A'], aiRack: ['X'] });
+    const tiles = [{ row: CENTER, col: CENTER, letter: 'A', blank: false }, { row: CENTER, col: CENTER + 1, letter: 'S', blank: true }];
+
+    expect(applyPlay(game, tiles, trie).breakdown.total).toBe(2);
+    expect(game.board[1]).toMatchObject({ letter: 'S', blank: true });
+  });
+
+  test('leaves the game untouched when the move is illegal', () => {
+    const game = newGame({ rack: ['C', 'A', 'S', 'A'], aiRack: ['X'] });
+
+    expect(applyPlay(game, across('SOL', CENTER, CENTER), trie).error).toBe('Those tiles are not on your rack');
+    expect(applyPlay(game, across('CASA', 0, 0), trie).error).toBe('The first word must cover the centre square');
+    expect(applyPlay(game, across('SACA', CENTER, CENTER), trie)).toMatchObject({ error: 'Not a valid word', invalidWords: ['SACA'] });
+
+    expect(game.board).toHaveLength(0);
+    expect(game.players[0].rack).toEqual(['C', 'A', 'S', 'A']);
+    expect(game.currentPlayer).toBe(0);
+  });
+});
+
+describe('playAITurns', () => {
+  test('the computer plays a legal word and hands the turn back', () => {
+    const game = newGame({ rack: ['C', 'A', 'S', 'A', 'E', 'E', 'E'], aiRack: ['S', 'O', 'L', 'E', 'E', 'E', 'E'] });
+    applyPlay(game, across('CASA', CENTER, CENTER - 1), trie);
+
+    playAITurns(game, trie);
+
+    const move = game.moves[game.moves.length - 1];
+    expect(move).toMatchObject({ player: 1, type: 'play' });
+    expect(move.words.every(word => trie.has(word))).toBe(true);
+    expect(game.currentPlayer).toBe(0);
+  });
+
+  test('the computer passes when it cannot play or exchange', () => {
+    const game = newGame({ rack: ['C', 'A', 'S', 'A', 'E', 'E', 'E'], aiRack: ['X', 'Z'] });
+    applyPlay(game, across('CASA', CENTER, CENTER - 1), trie);
+    game.bag = game.bag.slice(0, 3);
+
+    playAITurns(game, trie);
+
+    expect(game.moves[game.moves.length - 1]).toMatchObject({ player: 1, type: 'pass' });
+    expect(game.scorelessTurns).toBe(1);
+    expect(game.currentPlayer).toBe(0);
+  });
+});
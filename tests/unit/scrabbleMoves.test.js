@@ -0,0 +1,86 @@
+const { Trie } = require('../../services/scrabbleDictionary');
+const { normalizeBoard, CENTER } = require('../../services/scrabbleBoard');
+const { computeCrossChecks, findAnchors, generateMoves, findBestMove } = require('../../services/scrabbleMoves');
+
+const trie = Trie.fromWords(['casa', 'as', 'os', 'sol', 'cal']);
+
+// A 15x15 board with CASA across the centre (columns 6 to 9)
+function boardWithCasa() {
+  const board = Array.from({ length: 15 }, () => Array(15).fill(null));
+  'CASA'.split('').forEach((letter, i) => { board[CENTER][CENTER - 1 + i] = letter; });
+  return board;
+}
+
+const covers = (move, row, col) => move.tiles.some(t => t.row === row && t.col === col);
+
+describe('first move', () => {
+  test('every move goes through the centre square', () => {
+    const moves = generateMoves(null, ['C', 'A', 'S', 'A'], trie);
+
+    expect(moves.length).toBeGreaterThan(0);
+    expect(moves.every(move => covers(move, CENTER, CENTER))).toBe(true);
+    const directions = new Set(moves.filter(move => move.word === 'CASA').map(move => move.direction));
+    expect([...directions].sort()).toEqual(['across', 'down']);
+  });
+
+  test('the only anchor is the centre', () => {
+    expect(findAnchors(normalizeBoard())).toEqual([[CENTER, CENTER]]);
+  });
+});
+
+describe('moves next to existing tiles', () => {
+  const grid = normalizeBoard(boardWithCasa());
+
+  test('anchors are the empty squares touching a tile', () => {
+    const anchors = findAnchors(grid);
+
+    expect(anchors).toHaveLength(10);
+    expect(anchors).toEqual(expect.arrayContaining([[CENTER, CENTER - 2], [CENTER, CENTER + 3], [CENTER - 1, CENTER + 1]]));
+    expect(anchors.every(([r, c]) => !grid[r][c])).toBe(true);
+  });
+
+  test('cross-checks only allow letters that make a vertical word', () => {
+    const checks = computeCrossChecks(grid, trie);
+
+    // Above the S: AS or OS; below the first A: AS
+    expect([...checks[CENTER - 1][CENTER + 1]].sort()).toEqual(['A', 'O']);
+    expect([...checks[CENTER + 1][CENTER]]).toEqual(['S']);
+    expect(checks[0][0]).toBeNull();
+  });
+
+  test('moves build on the board and respect cross words', () => {
+    const moves = generateMoves(boardWithCasa(), ['S', 'O', 'L'], trie);
+
+    expect(moves.map(m => `${m.word} ${m.direction} ${m.row},${m.col}`)).toEqual(expect.arrayContaining([
+      `SOL down ${CENTER},${CENTER + 1}`,
+      `SOL across ${CENTER + 1},${CENTER + 2}`
+    ]));
+    // An across word under the S would make "SO" or the like, which are not words
+    expect(moves.some(move => move.direction === 'across' && covers(move, CENTER + 1, CENTER + 1))).toBe(false);
+    for (const move of moves) {
+      expect(move.crossWords.every(w => trie.has(w.word))).toBe(true);
+    }
+  });
+});
+
+describe('blank tiles', () => {
+  test('stand in for letters missing from the rack', () => {
+    const moves = generateMoves(null, ['A', '?'], trie);
+
+    expect(moves.length).toBeGreaterThan(0);
+    for (const move of moves) {
+      expect(move.word).toBe('AS');
+      expect(move.tiles.find(t => t.letter === 'S').blank).toBe(true);
+      expect(move.tiles.find(t => t.letter === 'A').blank).toBe(false);
+    }
+  });
+});
+
+describe('findBestMove', () => {
+  test('returns the highest-scoring move, or null without one', () => {
+    const best = findBestMove(boardWithCasa(), ['S', 'O', 'L'], trie, move => move.tiles.length);
+    expect(best).toMatchObject({ word: 'SOL', direction: 'across', score: 3 });
+
+    expect(findBestMove(boardWithCasa(), ['X'], trie, () => 1)).toBeNull();
+  });
+});
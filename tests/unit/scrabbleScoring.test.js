@@ -0,0 +1,47 @@
+const { LETTER_VALUES, letterValue, scoreWord } = require('../../services/scrabbleScoring');
+const { normalizeBoard, CENTER } = require('../../services/scrabbleBoard');
+const { checkPlacement } = require('../../services/scrabbleGame');
+
+describe('tile values', () => {
+  test('match the Brazilian Portuguese set', () => {
+    expect(LETTER_VALUES).toEqual({
+      A: 1, E: 1, I: 1, O: 1, S: 1, U: 1, M: 1, R: 1, T: 1,
+      D: 2, L: 2, C: 2, P: 2,
+      N: 3, B: 3, Ç: 3,
+      F: 4, G: 4, H: 4, V: 4,
+      J: 5,
+      Q: 6,
+      X: 8,
+      Z: 8
+    });
+  });
+
+  test('accented vowels score as the plain vowel and blanks score nothing', () => {
+    expect(letterValue('á')).toBe(1);
+    expect(letterValue('Q', true)).toBe(0);
+    expect(scoreWord('queijo').score).toBe(6 + 1 + 1 + 1 + 5 + 1);
+  });
+});
+
+describe('checkPlacement', () => {
+  const dictionary = new Set(['CASA', 'AS', 'SOL']);
+  const across = (word, row, col) => word.split('').map((letter, i) => ({ row, col: col + i, letter, blank: false }));
+
+  test('accepts a first word through the centre', () => {
+    const { formed } = checkPlacement(normalizeBoard(), across('CASA', CENTER, CENTER - 1), dictionary);
+    expect(formed.map(w => w.word)).toEqual(['CASA']);
+  });
+
+  test('rejects occupied squares, loose tiles and unknown cross words', () => {
+    const board = Array.from({ length: 15 }, () => Array(15).fill(null));
+    across('CASA', CENTER, CENTER - 1).forEach(t => { board[t.row][t.col] = t.letter; });
+    const grid = normalizeBoard(board);
+
+    expect(checkPlacement(grid, across('SOL', CENTER, CENTER), dictionary).error).toBe('Square is already occupied');
+    expect(checkPlacement(grid, across('SOL', 0, 0), dictionary).error).toMatch(/connect/);
+
+    const below = checkPlacement(grid, across('SOL', CENTER + 1, CENTER - 1), dictionary);
+    expect(below.error).toBe('Not a valid word');
+    expect(below.invalidWords).toEqual(expect.arrayContaining(['CS']));
+  });
+});
@@ -0,0 +1,74 @@
+const { validate, optional, string, integer, boolean, objectId, array, object } = require('../../middleware/validate');
+
+// Run the middleware against a fake request; resolves to { status, body } or { req }
+function run(schema, req) {
+  const request = { params: {}, query: {}, body: undefined, ...req };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    validate(schema)(request, res, () => resolve({ req: request }));
+  });
+}
+
+describe('validate', () => {
+  const schema = {
+    params: { id: objectId({ required: true }) },
+    query: { page: integer({ min: 1, default: 1 }), tags: array(string()) },
+    body: {
+      title: string({ required: true, maxLength: 5 }),
+      public: boolean(),
+      meta: object({ order: integer({ min: 0 }) })
+    }
+  };
+  const id = '65f1a2b3c4d5e6f708192a3b';
+
+  test('cleans and coerces valid input', async () => {
+    const { req } = await run(schema, {
+      params: { id },
+      query: { tags: 'verbs' },
+      body: { title: '  Olá ', public: true, meta: { order: 2, extra: 1 }, role: 'admin' }
+    });
+
+    expect(req.query).toEqual({ page: 1, tags: ['verbs'] });
+    expect(req.body).toEqual({ title: 'Olá', public: true, meta: { order: 2 } });
+  });
+
+  test('collects every error with its location and path', async () => {
+    const { status, body } = await run(schema, {
+      params: { id: 'nope' },
+      query: { page: '0' },
+      body: { title: 'Too long', public: 'yes', meta: { order: -1 } }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Validation failed');
+    expect(body.errors).toEqual([
+      { location: 'params', field: 'id', message: 'must be a valid id' },
+      { location: 'query', field: 'page', message: 'must be at least 1' },
+      { location: 'body', field: 'title', message: 'must be at most 5 characters' },
+      { location: 'body', field: 'public', message: 'must be true or false' },
+      { location: 'body', field: 'meta.order', message: 'must be at least 0' }
+    ]);
+  });
+
+  test('does not coerce body values unless asked to', async () => {
+    const strict = await run({ body: { n: integer() } }, { body: { n: '3' } });
+    expect(strict.status).toBe(400);
+
+    const lenient = await run({ body: { n: integer({ coerce: true }) } }, { body: { n: '3' } });
+    expect(lenient.req.body).toEqual({ n: 3 });
+  });
+
+  test('optional() allows partial updates', async () => {
+    const { req } = await run({ body: optional({ title: string({ required: true }) }) }, { body: {} });
+    expect(req.body).toEqual({});
+  });
+
+  test('reports errors inside arrays by index', async () => {
+    const { body } = await run({ body: { items: array(object({ name: string({ required: true }) })) } },
+      { body: { items: [{ name: 'a' }, {}] } });
+    expect(body.errors).toEqual([{ location: 'body', field: 'items[1].name', message: 'is required' }]);
+  });
+});
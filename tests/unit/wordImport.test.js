@@ -0,0 +1,61 @@
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { readRows, writeResultFile, resultFilePath, purgeResultFiles } = require('../../services/wordImport');
+
+const csvFile = (text) => ({ originalname: 'words.csv', buffer: Buffer.from(text) });
+
+function xlsxFile(rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Words');
+  return { originalname: 'words.xlsx', buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }) };
+}
+
+describe('readRows', () => {
+  test('reads CSV with any header case and numbers rows like a spreadsheet', async () => {
+    const { records } = await readRows(csvFile(
+      '\uFEFFPortuguese, English ,Group,Examples\n' +
+      'casa,house,Home,"A casa é grande. | Minha casa."\n' +
+      ',,,\n' +
+      'cão,dog,,\n'
+    ));
+
+    expect(records).toEqual([
+      { row: 2, portuguese: 'casa', english: 'house', group: 'Home', examples: 'A casa é grande. | Minha casa.' },
+      { row: 4, portuguese: 'cão', english: 'dog', group: '', examples: '' }
+    ]);
+  });
+
+  test('reads the first sheet of an XLSX workbook', async () => {
+    const { records } = await readRows(xlsxFile([
+      ['portuguese', 'english'],
+      ['pão', 'bread'],
+      [],
+      ['água', 'water']
+    ]));
+
+    expect(records.map(r => [r.row, r.portuguese])).toEqual([[2, 'pão'], [4, 'água']]);
+  });
+
+  test('explains files it cannot use', async () => {
+    expect(await readRows({ originalname: 'words.txt', buffer: Buffer.from('') })).toHaveProperty('error');
+    expect((await readRows(csvFile('portuguese,english\n'))).error).toMatch(/no rows/);
+    expect((await readRows(csvFile('word,meaning\ncasa,house\n'))).error).toMatch(/"portuguese" and "english"/);
+    expect((await readRows({ originalname: 'words.xlsx', buffer: Buffer.from('not a workbook') })).error).toBeDefined();
+  });
+});
+
+describe('purgeResultFiles', () => {
+  test('deletes only result files past their age', async () => {
+    const row = { row: 2, status: 'new', word: { portuguese: 'casa', english: 'house' } };
+    const old = await writeResultFile([row], { committed: false });
+    const recent = await writeResultFile([row], { committed: false });
+    const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(resultFilePath(old), eightDaysAgo, eightDaysAgo);
+
+    expect(await purgeResultFiles()).toBe(1);
+    expect(resultFilePath(old)).toBeNull();
+    expect(resultFilePath(recent)).not.toBeNull();
+
+    fs.rmSync(resultFilePath(recent));
+  });
+});